@@ -14,8 +14,9 @@ module.exports = function(config) {
 
 
     // list of files / patterns to load in the browser
+    // specs bundled by webpack.config.tests.js
     files: [
-      'src/**/*.js'
+      'bin/tests.js'
     ],
 
 
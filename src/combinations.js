@@ -0,0 +1,113 @@
+/**
+ * This file defines helpers to work with key combinations.
+ *
+ * A key combination is a group of keys which have to be held at the same
+ * time (in any order) for the combination to be considered as pushed.
+ *
+ * They are referenced as a single key name where each key is separated by a
+ * `+` character, e.g. 'Ctrl+Up' or 'Shift+Enter'. That way, a combination can
+ * be registered, layered and propagated exactly like any other key name.
+ *
+ * Combinations whose keys have to be pushed in a strict order (a "chord") are
+ * separated by a `>` character instead, e.g. 'Ctrl>Up' is only pushed when
+ * 'Ctrl' was pushed before 'Up'. Both separators cannot be mixed in the same
+ * name.
+ */
+
+/**
+ * Character used to separate each key name of a combination.
+ * @type string
+ */
+const COMBINATION_SEPARATOR = '+';
+
+/**
+ * Character used to separate each key name of an ordered combination.
+ * @type string
+ */
+const ORDERED_COMBINATION_SEPARATOR = '>';
+
+/**
+ * Returns the separator used in the given combination name.
+ * null if there is none or if both separators are used.
+ * @param {string} name
+ * @returns {string|null}
+ */
+const getSeparator = (name) => {
+  const hasSeparator = name.includes(COMBINATION_SEPARATOR);
+  const hasOrderedSeparator = name.includes(ORDERED_COMBINATION_SEPARATOR);
+  if (hasSeparator === hasOrderedSeparator) {
+    return null;
+  }
+  return hasSeparator ? COMBINATION_SEPARATOR :
+                        ORDERED_COMBINATION_SEPARATOR;
+};
+
+/**
+ * Split a combination name into its key names.
+ * Returns null if the given name is not a combination.
+ * @example parseCombination('Ctrl+Up') => ['Ctrl', 'Up']
+ * @example parseCombination('Ctrl>Up') => ['Ctrl', 'Up']
+ * @example parseCombination('Up') => null
+ * @param {string} name
+ * @returns {Array.<string>|null}
+ */
+const parseCombination = (name) => {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  const separator = getSeparator(name);
+  if (!separator) {
+    return null;
+  }
+
+  const keyNames = name.split(separator)
+    .map(keyName => keyName.trim());
+
+  // a key name can itself contain the separator (e.g. a '+' key). Only
+  // consider it as a combination when every part is a non-empty key name.
+  if (keyNames.length < 2 || keyNames.some(keyName => !keyName)) {
+    return null;
+  }
+  return keyNames;
+};
+
+/**
+ * Returns true if the given key name designates a combination of keys.
+ * @param {string} name
+ * @returns {Boolean}
+ */
+const isCombination = (name) => parseCombination(name) !== null;
+
+/**
+ * Returns true if the given key name designates an ordered combination of
+ * keys (e.g. 'Ctrl>Up').
+ * @param {string} name
+ * @returns {Boolean}
+ */
+const isOrderedCombination = (name) => isCombination(name) &&
+  getSeparator(name) === ORDERED_COMBINATION_SEPARATOR;
+
+/**
+ * Construct the normalized combination name from either a combination name or
+ * an array of key names.
+ * @example toCombinationName(['Shift', 'Enter']) => 'Shift+Enter'
+ * @example toCombinationName('Ctrl + Up') => 'Ctrl+Up'
+ * @example toCombinationName('Ctrl > Up') => 'Ctrl>Up'
+ * @param {string|Array.<string>} combination
+ * @returns {string}
+ */
+const toCombinationName = (combination) => {
+  if (Array.isArray(combination)) {
+    return combination.map(keyName => keyName.trim())
+      .join(COMBINATION_SEPARATOR);
+  }
+  return parseCombination(combination).join(getSeparator(combination));
+};
+
+export {
+  isCombination,
+  isOrderedCombination,
+  parseCombination,
+  toCombinationName
+};
@@ -5,6 +5,11 @@ export default {
    *
    * Link easy-to-remember KeyNames to their respective keyCode(s).
    *
+   * keyCodes are deprecated and not reliable on every platform (some send 0 or
+   * 229 for a lot of keys) but they might be the only information available on
+   * older devices. This map is thus only used when neither the CODE_MAP nor
+   * the KEY_VALUE_MAP know the key pushed.
+   *
    * This is an object where:
    *   1. The keys are the keyCodes (as in event's keyCode)
    *   2. The values are the names as used in the webapp.
@@ -112,6 +117,212 @@ export default {
     223: 'SingleQuote' // '
   },
 
+  /**
+   * Link KeyNames to the `code` property of keyboard events, which describes
+   * the physical key pushed.
+   *
+   * This is an object where:
+   *   1. The keys are the codes (as in event's code)
+   *   2. The values are the names as used in the webapp.
+   *
+   * Only keys whose meaning does not depend on the keyboard layout are
+   * declared here. The other ones are found through the KEY_VALUE_MAP.
+   *
+   * It has priority over both the KEY_VALUE_MAP and the KEY_MAP.
+   * @type Object
+   */
+  CODE_MAP: {
+    Backspace: 'Back', // Backspace
+    Tab: 'Tab', // Tab
+    Enter: 'Enter', // Enter
+    NumpadEnter: 'Enter', // numpad Enter
+    ShiftLeft: 'Shift', // Left Shift
+    ShiftRight: 'Shift', // Right Shift
+    ControlLeft: 'Ctrl', // Left Control
+    ControlRight: 'Ctrl', // Right Control
+    AltLeft: 'Alt', // Left Alt
+    AltRight: 'Alt', // Right Alt
+    Pause: 'Pause', // Pause/Break
+    CapsLock: 'Caps', // Caps Lock
+    Escape: 'Esc', // Escape
+    Space: 'Space', // Space
+    PageUp: 'PageUp', // Page Up
+    PageDown: 'PageDown', // Page Down
+    End: 'End', // End
+    Home: 'Home', // Home
+    ArrowLeft: 'Left', // Left arrow
+    ArrowUp: 'Up', // Up arrow
+    ArrowRight: 'Right', // Right arrow
+    ArrowDown: 'Down', // Down arrow
+    Insert: 'Insert', // Insert
+    Delete: 'Delete', // Delete
+    MetaLeft: 'Window', // Left window key
+    MetaRight: 'Window', // Right window key
+    ContextMenu: 'Select', // Select key
+    Numpad0: 'Num0', // numpad 0
+    Numpad1: 'Num1', // numpad 1
+    Numpad2: 'Num2', // numpad 2
+    Numpad3: 'Num3', // numpad 3
+    Numpad4: 'Num4', // numpad 4
+    Numpad5: 'Num5', // numpad 5
+    Numpad6: 'Num6', // numpad 6
+    Numpad7: 'Num7', // numpad 7
+    Numpad8: 'Num8', // numpad 8
+    Numpad9: 'Num9', // numpad 9
+    NumpadMultiply: 'Multiply', // *
+    NumpadAdd: 'Add', // +
+    NumpadSubtract: 'Subtract', // -
+    NumpadDecimal: 'DecimalPoint', // .
+    NumpadDivide: 'Divide', // Divide
+    F1: 'f1', // f1
+    F2: 'f2', // f2
+    F3: 'f3', // f3
+    F4: 'f4', // f4
+    F5: 'f5', // f5
+    F6: 'f6', // f6
+    F7: 'f7', // f7
+    F8: 'f8', // f8
+    F9: 'f9', // f9
+    F10: 'f10', // f10
+    F11: 'f11', // f11
+    F12: 'f12', // f12
+    NumLock: 'NumLock', // Num Lock
+    ScrollLock: 'ScrollLock' // Scroll Lock
+  },
+
+  /**
+   * Link KeyNames to the `key` property of keyboard events, which describes
+   * the logical value of the key pushed.
+   *
+   * This is an object where:
+   *   1. The keys are the key values (as in event's key)
+   *   2. The values are the names as used in the webapp.
+   *
+   * It has priority over the KEY_MAP but not over the CODE_MAP.
+   * @type Object
+   */
+  KEY_VALUE_MAP: {
+    Backspace: 'Back', // Backspace
+    Tab: 'Tab', // Tab
+    Enter: 'Enter', // Enter
+    Shift: 'Shift', // Shift
+    Control: 'Ctrl', // Control
+    Alt: 'Alt', // Alt
+    Pause: 'Pause', // Pause/Break
+    CapsLock: 'Caps', // Caps Lock
+    Escape: 'Esc', // Escape
+    Esc: 'Esc', // Escape (older browsers)
+    ' ': 'Space', // Space
+    Spacebar: 'Space', // Space (older browsers)
+    PageUp: 'PageUp', // Page Up
+    PageDown: 'PageDown', // Page Down
+    End: 'End', // End
+    Home: 'Home', // Home
+    ArrowLeft: 'Left', // Left arrow
+    Left: 'Left', // Left arrow (older browsers)
+    ArrowUp: 'Up', // Up arrow
+    Up: 'Up', // Up arrow (older browsers)
+    ArrowRight: 'Right', // Right arrow
+    Right: 'Right', // Right arrow (older browsers)
+    ArrowDown: 'Down', // Down arrow
+    Down: 'Down', // Down arrow (older browsers)
+    Insert: 'Insert', // Insert
+    Delete: 'Delete', // Delete
+    Del: 'Delete', // Delete (older browsers)
+    Meta: 'Window', // Window key
+    OS: 'Window', // Window key (older browsers)
+    ContextMenu: 'Select', // Select key
+    '0': 'Num0', // 0
+    '1': 'Num1', // 1
+    '2': 'Num2', // 2
+    '3': 'Num3', // 3
+    '4': 'Num4', // 4
+    '5': 'Num5', // 5
+    '6': 'Num6', // 6
+    '7': 'Num7', // 7
+    '8': 'Num8', // 8
+    '9': 'Num9', // 9
+    a: 'a', // a
+    b: 'b', // b
+    c: 'c', // c
+    d: 'd', // d
+    e: 'e', // e
+    f: 'f', // f
+    g: 'g', // g
+    h: 'h', // h
+    i: 'i', // i
+    j: 'j', // j
+    k: 'k', // k
+    l: 'l', // l
+    m: 'm', // m
+    n: 'n', // n
+    o: 'o', // o
+    p: 'p', // p
+    q: 'q', // q
+    r: 'r', // r
+    s: 's', // s
+    t: 't', // t
+    u: 'u', // u
+    v: 'v', // v
+    w: 'w', // w
+    x: 'x', // x
+    y: 'y', // y
+    z: 'z', // z
+    A: 'a', // a (with Shift or Caps Lock)
+    B: 'b', // b (with Shift or Caps Lock)
+    C: 'c', // c (with Shift or Caps Lock)
+    D: 'd', // d (with Shift or Caps Lock)
+    E: 'e', // e (with Shift or Caps Lock)
+    F: 'f', // f (with Shift or Caps Lock)
+    G: 'g', // g (with Shift or Caps Lock)
+    H: 'h', // h (with Shift or Caps Lock)
+    I: 'i', // i (with Shift or Caps Lock)
+    J: 'j', // j (with Shift or Caps Lock)
+    K: 'k', // k (with Shift or Caps Lock)
+    L: 'l', // l (with Shift or Caps Lock)
+    M: 'm', // m (with Shift or Caps Lock)
+    N: 'n', // n (with Shift or Caps Lock)
+    O: 'o', // o (with Shift or Caps Lock)
+    P: 'p', // p (with Shift or Caps Lock)
+    Q: 'q', // q (with Shift or Caps Lock)
+    R: 'r', // r (with Shift or Caps Lock)
+    S: 's', // s (with Shift or Caps Lock)
+    T: 't', // t (with Shift or Caps Lock)
+    U: 'u', // u (with Shift or Caps Lock)
+    V: 'v', // v (with Shift or Caps Lock)
+    W: 'w', // w (with Shift or Caps Lock)
+    X: 'x', // x (with Shift or Caps Lock)
+    Y: 'y', // y (with Shift or Caps Lock)
+    Z: 'z', // z (with Shift or Caps Lock)
+    '*': 'Multiply', // *
+    '+': 'Add', // +
+    F1: 'f1', // f1
+    F2: 'f2', // f2
+    F3: 'f3', // f3
+    F4: 'f4', // f4
+    F5: 'f5', // f5
+    F6: 'f6', // f6
+    F7: 'f7', // f7
+    F8: 'f8', // f8
+    F9: 'f9', // f9
+    F10: 'f10', // f10
+    F11: 'f11', // f11
+    F12: 'f12', // f12
+    NumLock: 'NumLock', // Num Lock
+    ScrollLock: 'ScrollLock', // Scroll Lock
+    ';': 'SemiColon', // ;
+    '=': 'Equal', // =
+    ',': 'Comma', // ,
+    '-': 'Dash', // -
+    '.': 'Point', // .
+    '/': 'Slash', // /
+    '`': 'BackTick', // `
+    '[': 'OpenBracket', // [
+    '\\': 'BackSlash', // \
+    ']': 'CloseBracket', // ]
+    "'": 'SingleQuote' // '
+  },
+
   /**
    * Grouping of KeyNames, that can be used as a shortcut instead of each of its
    * keynames in the keyboard.
@@ -225,5 +436,174 @@ export default {
    */
   DEFAULT_REEMIT_VALUE: 500,
 
+  /**
+   * Maximum time, in ms, allowed between two keys of a key sequence.
+   *
+   * If the next key of the sequence is not pushed before that delay, the
+   * sequence is reset and has to be started again from its first key.
+   * @type Number
+   */
+  DEFAULT_SEQUENCE_TIMEOUT: 1000,
+
+  /**
+   * Maximum time, in ms, between the release of a key and its next push for
+   * both pushes to be considered as part of the same multi-tap (e.g. a
+   * double-tap).
+   * @type Number
+   */
+  DEFAULT_TAP_WINDOW: 300,
+
+  /**
+   * What to do with the keys pushed while an editable element (input,
+   * textarea, select, contentEditable) is focused: 'always' (receive them),
+   * 'ignore' (never receive them) or an array of the key names received.
+   * Ignored by default, so that typing in a text field never triggers the
+   * shortcuts.
+   * @type string|Array.<string>
+   */
+  DEFAULT_EDITABLE_POLICY: 'ignore',
+
+  /**
+   * Default mapping of the gamepad adapter, following the "standard" layout of
+   * the Gamepad API.
+   *
+   * Contains two objects:
+   *   1. buttons: the keys are button indexes, the values the corresponding
+   *      key names.
+   *   2. axes: the keys are axis indexes, the values arrays with the key name
+   *      for the negative direction, then for the positive one.
+   * @type Object
+   */
+  DEFAULT_GAMEPAD_MAPPING: {
+    buttons: {
+      0: 'Enter', // A
+      1: 'Back', // B
+      12: 'Up', // D-pad up
+      13: 'Down', // D-pad down
+      14: 'Left', // D-pad left
+      15: 'Right' // D-pad right
+    },
+    axes: {
+      0: ['Left', 'Right'], // left stick, horizontal
+      1: ['Up', 'Down'] // left stick, vertical
+    }
+  },
+
+  /**
+   * Value, between 0 and 1, from which a gamepad axis (or an analog button) is
+   * considered as pushed.
+   * @type Number
+   */
+  DEFAULT_GAMEPAD_THRESHOLD: 0.5,
+
+  /**
+   * Time, in ms, between two checks of the gamepads state.
+   * @type Number
+   */
+  DEFAULT_GAMEPAD_POLL_INTERVAL: 16,
+
+  /**
+   * Press rules of the spatial navigation's direction keys: focus moves once
+   * on push, then again on each press event while the key is held.
+   * @type Object
+   */
+  DEFAULT_NAVIGATION_PRESS: {
+    after: 500,
+    interval: 150
+  },
+
+  /**
+   * How much elements have to be aligned with the focused one to be reached
+   * by the spatial navigation. See spatial_navigation.js.
+   * @type string
+   */
+  DEFAULT_NAVIGATION_OVERLAP: 'any',
+
+  /**
+   * Time, in ms, after which the character composed through a multi-tap
+   * entry is committed if its key is not pushed again.
+   * @type Number
+   */
+  DEFAULT_MULTI_TAP_TIMEOUT: 1000,
+
+  /**
+   * Locale whose character table is used by a multi-tap entry when none is
+   * given, or when the one given has no table.
+   * @type string
+   */
+  DEFAULT_MULTI_TAP_LOCALE: 'en',
+
+  /**
+   * Time, in ms, after which the digits typed through a numeric entry are
+   * submitted if no other digit is pushed.
+   * @type Number
+   */
+  DEFAULT_NUMERIC_ENTRY_TIMEOUT: 2000,
+
+  /**
+   * Character displayed by a numeric entry for each digit still expected.
+   * @type string
+   */
+  DEFAULT_NUMERIC_ENTRY_PLACEHOLDER: '_',
+
+  /**
+   * Character tables of the multi-tap entry, per locale.
+   *
+   * For each locale, the keys are key names and the values the characters
+   * successively composed by pushing that key again and again, as on phone
+   * keypads.
+   * @type Object
+   */
+  MULTI_TAP_TABLES: {
+    en: {
+      Num0: ' 0',
+      Num1: '.,?!\'-1',
+      Num2: 'abc2',
+      Num3: 'def3',
+      Num4: 'ghi4',
+      Num5: 'jkl5',
+      Num6: 'mno6',
+      Num7: 'pqrs7',
+      Num8: 'tuv8',
+      Num9: 'wxyz9'
+    },
+    fr: {
+      Num0: ' 0',
+      Num1: '.,?!\'-1',
+      Num2: 'abcàâç2',
+      Num3: 'deféèêë3',
+      Num4: 'ghiîï4',
+      Num5: 'jkl5',
+      Num6: 'mnoô6',
+      Num7: 'pqrs7',
+      Num8: 'tuvùû8',
+      Num9: 'wxyz9'
+    },
+    de: {
+      Num0: ' 0',
+      Num1: '.,?!\'-1',
+      Num2: 'abcä2',
+      Num3: 'def3',
+      Num4: 'ghi4',
+      Num5: 'jkl5',
+      Num6: 'mnoö6',
+      Num7: 'pqrsß7',
+      Num8: 'tuvü8',
+      Num9: 'wxyz9'
+    },
+    es: {
+      Num0: ' 0',
+      Num1: '.,?!¿¡\'-1',
+      Num2: 'abcá2',
+      Num3: 'defé3',
+      Num4: 'ghií4',
+      Num5: 'jkl5',
+      Num6: 'mnñoó6',
+      Num7: 'pqrs7',
+      Num8: 'tuvúü8',
+      Num9: 'wxyz9'
+    }
+  },
+
   DEFAULT_PREVENT_DEFAULT: false
 };
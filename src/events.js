@@ -1,8 +1,8 @@
 /**
- * This file proposes a supplementary layer over the builtins addEventListener
- * and removeEventListener functions.
+ * This file proposes a supplementary layer over the key events sent by an
+ * input source (by default, the DOM's keydown and keyup events).
  *
- * It provides two functions:
+ * It provides a listen function, returning two main functions:
  *   - on
  *   - off
  *
@@ -13,76 +13,781 @@
  *
  *   - Only emit the first keydown when the key is held (not released).
  *
- *   - You must define the keyCodes listened to, and you are only notified for
- *     the events for those keys.
+ *   - You must define which keys are listened to (through a function
+ *     returning their key name), and you are only notified for the events for
+ *     those keys.
  *
  *   - Multiple `on` call for the same callback will bind only the last one
  *     declared.
  *
- *   - The callback will have as argument the keyCode of the key pushed.
+ *   - The callback will have as arguments the identifier of the key pushed and
+ *     an object describing the key (its keyCode, key and code properties).
  *
- * Please note that this file perform three addEventListener when parsed.
+ * A key identifier is the `code` of the key if the browser gives it, its
+ * keyCode if not. The `key` is only used as an identifier when both are
+ * unavailable.
+ *
+ * An input source is an object with two methods:
+ *
+ *   - start(handlers): called when a first callback is registered on the
+ *     source.
+ *     `handlers` is an object with three functions the source has to call:
+ *       - keyDown(keyInfos, [evt]): a key has been pushed
+ *       - keyUp(keyInfos, [evt]): a key has been released
+ *       - releaseAll(): every key should be considered as released
+ *     keyInfos is an object with the keyCode, key and code properties of the
+ *     key (null or undefined if unknown). It can also directly contain a
+ *     `keyName` property, used instead of the key maps, and the following
+ *     flags:
+ *       - isEditable: the key was pushed while an editable element (input,
+ *         textarea, select, contentEditable) was focused.
+ *       - isComposing: the key is part of an IME composition. Such keydowns
+ *         are ignored, as the key is consumed by the IME.
+ *     evt is the original event, on which preventDefault will be called if
+ *     needed.
+ *
+ *   - stop(): called when the last callback registered on the source is
+ *     removed. The source should stop sending events until started again.
+ *
+ * Each source has its own state: a key pushed on one source is not considered
+ * pushed for another.
+ *
+ * Two sources are defined here:
+ *   - the DOM source (createDOMSource), used by default. It can be scoped to
+ *     a given element.
+ *   - the synthetic source (createSyntheticSource), whose events are sent
+ *     manually.
+ *
+ * Inputs which are not keyboards can also send their own keydown and keyup
+ * to a source (the default one if not set) through the pushKey and unpushKey
+ * functions, isKeyPushed telling whether the source took the key into
+ * account.
+ *
+ * KEYCODES_PUSHED, the keyCodes of the keys pushed on the default source, is
+ * only kept for compatibility: each source now has its own keys pushed, which
+ * are identified by their code first.
  */
 
 import isSet from "./misc/isSet";
+import isAllowedOnEditable from "./misc/isAllowedOnEditable";
 
 /**
- * Array containing every key pushed.
- * Used by addKeyPushedToArray / removeKeyPushedFromArray / isKeyPushed.
- * Used to avoid sending two times in a row a keydown event for the same key.
- * @type Array.<Number>
- * TODO HashMap
+ * Returns true if the given keyCode can be relied on.
+ * Browsers may send 0 for keys they do not know and 229 while an IME is
+ * composing text.
+ * @param {Number} keyCode
+ * @returns {Boolean}
+ */
+const isReliableKeyCode = keyCode =>
+  isSet(keyCode) && keyCode !== 0 && keyCode !== 229;
+
+/**
+ * Returns true if the given key informations describe a key consumed by an
+ * IME composition.
+ * Some platforms send a keyCode of 229 outside of any composition, it is
+ * only considered as one if neither the key nor the code are known.
+ * @param {Object} keyInfos
+ * @returns {Boolean}
+ */
+const isComposingKey = ({ keyCode, key, code, isComposing }) =>
+  !!isComposing || key === 'Process' ||
+  (keyCode === 229 && !code && (!key || key === 'Unidentified'));
+
+/**
+ * Normalize the key informations given by a source: properties which are not
+ * available are set to null.
+ * The isEditable and isComposing flags are only set when true.
+ * @param {Object} rawKeyInfos
+ * @returns {Object} keyInfos
+ * @returns {Number|null} keyInfos.keyCode
+ * @returns {string|null} keyInfos.key
+ * @returns {string|null} keyInfos.code
+ * @returns {string} [keyInfos.keyName]
+ * @returns {Boolean} [keyInfos.isEditable]
+ * @returns {Boolean} [keyInfos.isComposing]
+ */
+const normalizeKeyInfos = (rawKeyInfos) => {
+  const { keyCode, key, code, keyName, isEditable } = rawKeyInfos;
+  const keyInfos = { keyCode: isReliableKeyCode(keyCode) ? keyCode : null,
+                     key: key || null,
+                     code: code || null };
+  if (isSet(keyName)) {
+    keyInfos.keyName = keyName;
+  }
+  if (isEditable) {
+    keyInfos.isEditable = true;
+  }
+  if (isComposingKey(rawKeyInfos)) {
+    keyInfos.isComposing = true;
+  }
+  return keyInfos;
+};
+
+/**
+ * Returns every node an event went through, from its target to the root.
+ * Shadow roots are crossed through their host.
+ * @param {Object} evt
+ * @returns {Array.<Object>}
+ */
+const getEventPath = (evt) => {
+  if (typeof evt.composedPath === 'function') {
+    return evt.composedPath();
+  }
+  const path = [];
+  let node = evt.target;
+  while (node) {
+    path.push(node);
+    node = node.parentNode || node.host;
+  }
+  return path;
+};
+
+/**
+ * Types of input elements in which no text can be typed.
+ * @type Array.<string>
  */
-const KEYCODES_PUSHED = [];
+const NON_TEXT_INPUT_TYPES = ['button', 'checkbox', 'color', 'file', 'hidden',
+                              'image', 'radio', 'range', 'reset', 'submit'];
 
 /**
- * Add keyCode to the KEYCODES_PUSHED array.
+ * Returns true if the given element is editable: keys pushed while it is
+ * focused are meant for it (text typed, option selected...).
+ * @param {Object} element
+ * @returns {Boolean}
+ */
+const isEditableElement = (element) => {
+  if (!element || typeof element.tagName !== 'string') {
+    return false;
+  }
+  if (element.isContentEditable) {
+    return true;
+  }
+  switch (element.tagName.toUpperCase()) {
+    case 'TEXTAREA':
+      return !element.readOnly;
+    case 'SELECT':
+      return true;
+    case 'INPUT':
+      return !element.readOnly &&
+        !NON_TEXT_INPUT_TYPES.includes((element.type || '').toLowerCase());
+    default:
+      return false;
+  }
+};
+
+/**
+ * Extract the informations describing the key from a keyboard event.
+ * @param {Object} evt
+ * @returns {Object} keyInfos
+ */
+const getKeyInfos = (evt) => normalizeKeyInfos({
+  keyCode: isSet(evt.keyCode) ? evt.keyCode : evt.which,
+  key: evt.key,
+  code: evt.code,
+
+  // the first element of the path is the real target, even inside a shadow
+  // DOM (evt.target would be its host)
+  isEditable: isEditableElement(getEventPath(evt)[0]),
+  isComposing: evt.isComposing
+});
+
+/**
+ * Returns the identifier of the key described by the given informations.
+ * The code is preferred as it does not change between the keydown and the
+ * keyup (the key value could, if a modifier was pushed in between).
+ * @param {Object} keyInfos
+ * @returns {Number|string|null}
+ */
+const getKeyId = ({ keyCode, key, code }) => {
+  if (isSet(code)) {
+    return code;
+  }
+  return isSet(keyCode) ? keyCode : key;
+};
+
+/**
+ * Create an input source listening to the DOM's keydown and keyup events.
  *
- * Used to be able to know if the key is currently pushed through the
- * isKeyPushed function.
- * @param {Number} keyCode
+ * When the window loses the focus, every key is released.
+ *
+ * If a target element is given, only the keys pushed while the focus is
+ * inside of it (the target itself or any of its descendants, shadow DOMs
+ * included) are considered. A key pushed inside is still released if the
+ * focus went outside in the meantime.
+ *
+ * Nothing is done if there is no DOM (the source never sends anything).
+ * @param {Object} [opt]
+ * @param {Element} [opt.target]
+ * @returns {Object}
  */
-const addKeyPushedToArray = keyCode => {
-  KEYCODES_PUSHED.push(keyCode);
+const createDOMSource = ({ target } = {}) => {
+  let onKeyDown = null;
+  let onKeyUp = null;
+  let onBlur = null;
+
+  // outside of a browser (server-side rendering, workers...), this source
+  // does nothing
+  const hasDocument = typeof document !== 'undefined';
+  const hasWindow = typeof window !== 'undefined' &&
+                    typeof window.addEventListener === 'function';
+
+  /**
+   * Identifiers of the keys pushed inside the target.
+   * @type Array.<Number|string>
+   */
+  const keysInTarget = [];
+
+  const isInTarget = evt => !target || getEventPath(evt).includes(target);
+
+  return {
+    start({ keyDown, keyUp, releaseAll }) {
+      onKeyDown = evt => {
+        if (!isInTarget(evt)) {
+          return;
+        }
+        const keyInfos = getKeyInfos(evt);
+        const keyId = getKeyId(keyInfos);
+        if (!keysInTarget.includes(keyId)) {
+          keysInTarget.push(keyId);
+        }
+        keyDown(keyInfos, evt);
+      };
+
+      onKeyUp = evt => {
+        const keyInfos = getKeyInfos(evt);
+        const index = keysInTarget.indexOf(getKeyId(keyInfos));
+        if (index < 0 && !isInTarget(evt)) {
+          return;
+        }
+        if (index >= 0) {
+          keysInTarget.splice(index, 1);
+        }
+        keyUp(keyInfos, evt);
+      };
+
+      onBlur = () => {
+        keysInTarget.length = 0;
+        releaseAll();
+      };
+
+      if (hasDocument) {
+        document.addEventListener('keydown', onKeyDown);
+        document.addEventListener('keyup', onKeyUp);
+      }
+
+      // when not focusing the current window, release every keys to avoid
+      // having an infinite keydown.
+      // /!\ seems to not working well when changing tabs on chrome, sadly
+      if (hasWindow) {
+        window.addEventListener('blur', onBlur);
+      }
+    },
+
+    stop() {
+      keysInTarget.length = 0;
+      if (hasDocument) {
+        document.removeEventListener('keydown', onKeyDown);
+        document.removeEventListener('keyup', onKeyUp);
+      }
+      if (hasWindow) {
+        window.removeEventListener('blur', onBlur);
+      }
+    }
+  };
 };
 
 /**
- * Remove keyCode from the KEYCODES_PUSHED array.
+ * Create an input source whose events are sent manually, through its push,
+ * release and releaseAll methods.
  *
- * Used to be able to know if the key is currently pushed through the
- * isKeyPushed function.
- * @param {Number} keyCode
+ * Useful to feed key events from anywhere else than the DOM (e.g. from the
+ * network). Events sent while the source is not used are ignored.
+ * @returns {Object}
  */
-const removeKeyPushedFromArray = keyCode => {
-  for (let i = KEYCODES_PUSHED.length - 1; i >= 0; i--) {
-    if (KEYCODES_PUSHED[i] === keyCode) {
-      KEYCODES_PUSHED.splice(i, 1);
+const createSyntheticSource = () => {
+  let handlers = null;
+
+  return {
+    start(newHandlers) {
+      handlers = newHandlers;
+    },
+
+    stop() {
+      handlers = null;
+    },
+
+    /**
+     * Push the given key.
+     * @param {Object} keyInfos
+     */
+    push(keyInfos) {
+      if (handlers) {
+        handlers.keyDown(keyInfos);
+      }
+    },
+
+    /**
+     * Release the given key.
+     * @param {Object} keyInfos
+     */
+    release(keyInfos) {
+      if (handlers) {
+        handlers.keyUp(keyInfos);
+      }
+    },
+
+    /**
+     * Release every key pushed.
+     */
+    releaseAll() {
+      if (handlers) {
+        handlers.releaseAll();
+      }
+    }
+  };
+};
+
+/**
+ * Create the object keeping track of the keys pushed and of the callbacks
+ * registered for the given input source.
+ *
+ * The source is only started once a callback is registered and stopped once
+ * the last one is removed.
+ * @param {Object} source
+ * @returns {Object}
+ */
+const createSourceHub = (source) => {
+  /**
+   * Array containing the identifier of every key pushed, in the order they
+   * were pushed.
+   * Used by addKeyPushedToArray / removeKeyPushedFromArray / isKeyPushed.
+   * Used to avoid sending two times in a row a keydown event for the same key.
+   * @type Array.<Number|string>
+   * TODO HashMap
+   */
+  const keysPushed = [];
+
+  /**
+   * Object where:
+   *   - keys are the identifiers of every key pushed.
+   *   - values are the corresponding key informations (keyCode, key and code).
+   * Kept until the keyup event has been triggered.
+   * @type Object
+   */
+  const keyInfosPushed = {};
+
+  /**
+   * keyCode of every key pushed which has one, in the order they were
+   * pushed. Only kept for KEYCODES_PUSHED.
+   * @type Array.<Number>
+   */
+  const keyCodesPushed = [];
+
+  /**
+   * Identifiers of the keys whose keydown was ignored because it was part of
+   * an IME composition. Their keyup is ignored as well.
+   * @type Array.<Number|string>
+   */
+  const keysComposed = [];
+
+  /**
+   * Register every 'keydown' callbacks added through listen, as well as the
+   * function telling which keys they listen to.
+   * @type Array.<Object>
+   */
+  const keyDownCallbacks = [];
+
+  /**
+   * Register every 'keyup' callbacks added through listen, as well as the
+   * function telling which keys they listen to.
+   * @type Array.<Object>
+   */
+  const keyUpCallbacks = [];
+
+  /**
+   * Functions telling which keys should have their events' default behavior
+   * prevented (see the preventDefault and editable options of listen).
+   * @type Array.<Function>
+   */
+  const preventers = [];
+
+  /**
+   * Tracers given to the listen calls on this source (see tracer.js), once
+   * per listen call.
+   * @type Array.<Object>
+   */
+  const tracers = [];
+
+  /**
+   * Record the given step on every tracer.
+   * @param {string} step
+   * @param {Function} getData - Returns the data of the step.
+   */
+  const trace = (step, getData) => {
+    tracers.forEach((tracer, i) => {
+      // the same tracer can be given by multiple listen calls
+      if (tracers.indexOf(tracer) === i) {
+        tracer.trace(step, getData);
+      }
+    });
+  };
+
+  /**
+   * Add keyId to the keysPushed array.
+   *
+   * Used to be able to know if the key is currently pushed through the
+   * isKeyPushed function.
+   * @param {Number|string} keyId
+   * @param {Object} keyInfos
+   */
+  const addKeyPushedToArray = (keyId, keyInfos) => {
+    keysPushed.push(keyId);
+    keyInfosPushed[keyId] = keyInfos;
+    if (isSet(keyInfos.keyCode)) {
+      keyCodesPushed.push(keyInfos.keyCode);
+    }
+  };
+
+  /**
+   * Remove keyId from the keysPushed array.
+   *
+   * Used to be able to know if the key is currently pushed through the
+   * isKeyPushed function.
+   * @param {Number|string} keyId
+   */
+  const removeKeyPushedFromArray = keyId => {
+    const { keyCode } = keyInfosPushed[keyId] || {};
+    const keyCodeIndex = keyCodesPushed.lastIndexOf(keyCode);
+    if (keyCodeIndex >= 0) {
+      keyCodesPushed.splice(keyCodeIndex, 1);
+    }
+
+    for (let i = keysPushed.length - 1; i >= 0; i--) {
+      if (keysPushed[i] === keyId) {
+        keysPushed.splice(i, 1);
+        return;
+      }
+    }
+  };
+
+  /**
+   * Returns true if the key from the given identifier is considered pushed.
+   *
+   * Note: The keyId has to be added / removed through the addKeyPushedToArray
+   * / removeKeyPushedFromArray functions for this to work.
+   * @returns {Boolean}
+   */
+  const isKeyPushed = keyId => keysPushed.includes(keyId);
+
+  /**
+   * Trigger every callbacks from the given array with the right arguments.
+   * @param {Array.<Object>} callbacks
+   * @param {Number|string} keyId
+   * @param {Object} keyInfos
+   */
+  const triggerCallbacks = (callbacks, keyId, keyInfos) => {
+    callbacks.forEach((cb) => {
+      if (isSet(cb.getKeyName(keyInfos))) {
+        cb.callback(keyId, keyInfos);
+      }
+    });
+  };
+
+  /**
+   * Call preventDefault on the given event if one of the listeners asked for
+   * it for this key.
+   * @param {Object} keyInfos
+   * @param {Object} [evt]
+   */
+  const preventDefaultIfNeeded = (keyInfos, evt) => {
+    if (evt && typeof evt.preventDefault === 'function' &&
+        preventers.some(getKeyName => isSet(getKeyName(keyInfos)))) {
+      evt.preventDefault();
+    }
+  };
+
+  /**
+   * Consider the given key as released and send the corresponding keyup event.
+   * @param {Number|string} keyId
+   * @param {Object} keyInfos
+   */
+  const releaseKey = (keyId, keyInfos) => {
+    if (!isSet(keyId)) {
       return;
     }
+
+    // Consider the key as released from there.
+    removeKeyPushedFromArray(keyId);
+
+    // send keyup event
+    triggerCallbacks(keyUpCallbacks, keyId, keyInfos);
+
+    delete keyInfosPushed[keyId];
+  };
+
+  /**
+   * If false, no one listens to the source: its events are ignored.
+   * @type Boolean
+   */
+  let isStarted = false;
+
+  const handlers = {
+    /**
+     * Callback for the keydown event.
+     * @param {Object} rawKeyInfos
+     * @param {Object} [evt]
+     */
+    keyDown(rawKeyInfos, evt) {
+      if (!isStarted) {
+        return;
+      }
+      const keyInfos = normalizeKeyInfos(rawKeyInfos);
+      const keyId = getKeyId(keyInfos);
+
+      trace('source:keydown', () => Object.assign({
+        keyId,
+        isRepeat: isSet(keyId) && isKeyPushed(keyId)
+      }, keyInfos));
+
+      // the IME handles this key, let it do so
+      if (keyInfos.isComposing) {
+        if (isSet(keyId) && !isKeyPushed(keyId) &&
+            !keysComposed.includes(keyId)) {
+          keysComposed.push(keyId);
+        }
+        return;
+      }
+
+      preventDefaultIfNeeded(keyInfos, evt);
+
+      // if the key cannot be identified or is already pushed, quit, we have
+      // our own mean for consecutive keydowns
+      if (!isSet(keyId) || isKeyPushed(keyId)) {
+        return;
+      }
+
+      // Consider the key as pushed from there
+      addKeyPushedToArray(keyId, keyInfos);
+
+      // start sending keydown events
+      triggerCallbacks(keyDownCallbacks, keyId, keyInfos);
+    },
+
+    /**
+     * Callback for the keyup event.
+     * @param {Object} rawKeyInfos
+     * @param {Object} [evt]
+     */
+    keyUp(rawKeyInfos, evt) {
+      if (!isStarted) {
+        return;
+      }
+      const keyInfos = normalizeKeyInfos(rawKeyInfos);
+      const keyId = getKeyId(keyInfos);
+
+      trace('source:keyup', () => Object.assign({ keyId }, keyInfos));
+
+      const composedIndex = keysComposed.indexOf(keyId);
+      if (composedIndex >= 0) {
+        keysComposed.splice(composedIndex, 1);
+        return;
+      }
+
+      // a key pushed before the composition started is still released
+      if (keyInfos.isComposing) {
+        if (isKeyPushed(keyId)) {
+          releaseKey(keyId, keyInfos);
+        }
+        return;
+      }
+
+      preventDefaultIfNeeded(keyInfos, evt);
+      releaseKey(keyId, keyInfos);
+    },
+
+    /**
+     * Release every key currently pushed.
+     */
+    releaseAll() {
+      keysComposed.length = 0;
+      keysPushed.slice().forEach(keyId =>
+        releaseKey(keyId, keyInfosPushed[keyId])
+      );
+    }
+  };
+
+  /**
+   * Start the source if someone listens to it, stop it if no one does
+   * anymore.
+   * Should be called each time a callback or a preventer is added or removed.
+   */
+  const updateSourceState = () => {
+    const isUsed = keyDownCallbacks.length > 0 ||
+                   keyUpCallbacks.length > 0 ||
+                   preventers.length > 0;
+    if (isUsed && !isStarted) {
+      isStarted = true;
+      source.start(handlers);
+    } else if (!isUsed && isStarted) {
+      isStarted = false;
+      source.stop();
+
+      // no one is listening anymore, forget about the keys pushed
+      keysPushed.length = 0;
+      keyCodesPushed.length = 0;
+      keysComposed.length = 0;
+      Object.keys(keyInfosPushed).forEach(keyId => {
+        delete keyInfosPushed[keyId];
+      });
+    }
+  };
+
+  return { keysPushed,
+           keyInfosPushed,
+           keyCodesPushed,
+           keyDownCallbacks,
+           keyUpCallbacks,
+           preventers,
+           tracers,
+           handlers,
+           updateSourceState };
+};
+
+/**
+ * Link every source used to its hub (as returned by createSourceHub).
+ * @type WeakMap
+ */
+const hubs = new WeakMap();
+
+/**
+ * Returns the hub of the given source, creating it if it does not exist
+ * yet.
+ * @param {Object} source
+ * @returns {Object}
+ */
+const getHub = (source) => {
+  if (!hubs.has(source)) {
+    hubs.set(source, createSourceHub(source));
   }
+  return hubs.get(source);
 };
 
 /**
- * Register every 'keydown' callbacks added through addKeyEventListener, as well
- * as their registered keyCodes.
- *
- * Used to keep track of it as a addEventListener is only done one time
- * in our application and we never perform any removeEventListener.
- * @type Array.<Function>
+ * Source used when none is specified. Created on first use.
+ * @type Object|null
  */
-const keyDownCallbacks = [];
+let defaultSource = null;
 
 /**
- * Register every 'keyup' callbacks added through addKeyEventListener, as well
- * as their registered keyCodes.
+ * Returns the source used when none is specified (the DOM).
+ * @returns {Object}
+ */
+const getDefaultSource = () => {
+  if (!defaultSource) {
+    defaultSource = createDOMSource();
+  }
+  return defaultSource;
+};
+
+/**
+ * keyCode of every key pushed on the default source, in the order they were
+ * pushed (keys without a keyCode are not in it).
+ * @deprecated Only the default source is reflected, and keys are now
+ * identified by their code first. Use the getPushedKeys function returned by
+ * listen instead, which follows the source listened to and gives the key
+ * identifiers.
+ * @type Array.<Number>
+ */
+const KEYCODES_PUSHED = getHub(getDefaultSource()).keyCodesPushed;
+
+/**
+ * Returns the source to use from the options of a keyboard:
+ *   - the `source` option, if set.
+ *   - else, a DOM source scoped to the `target` option, if set.
+ *   - else, undefined (the default source).
+ * @param {Object} opt
+ * @param {Object} [opt.source]
+ * @param {Element} [opt.target]
+ * @returns {Object|undefined}
+ */
+const getSource = ({ source, target }) => {
+  if (source) {
+    return source;
+  }
+  return target ? createDOMSource({ target }) : undefined;
+};
+
+/**
+ * Consider the key described by the given informations as pushed on the
+ * given source (the default one if not set) and send the corresponding
+ * keydown event.
  *
- * Used to keep track of it as a addEventListener is only done one time
- * in our application and we never perform any removeEventListener.
- * @type Array.<Function>
+ * Can be used by inputs which are not keyboards (e.g. gamepads) to go through
+ * the same flow than keyboard events. Their key informations can then
+ * contain a `keyName` property, used instead of the key maps.
+ * @param {Object} keyInfos
+ * @param {Number|null} keyInfos.keyCode
+ * @param {string|null} keyInfos.key
+ * @param {string|null} keyInfos.code
+ * @param {string} [keyInfos.keyName]
+ * @param {Object} [source]
+ */
+const pushKey = (keyInfos, source = getDefaultSource()) => {
+  getHub(source).handlers.keyDown(keyInfos);
+};
+
+/**
+ * Consider the key described by the given informations as released on the
+ * given source (the default one if not set) and send the corresponding keyup
+ * event.
+ * Counterpart of pushKey.
+ * @param {Object} keyInfos
+ * @param {Object} [source]
+ */
+const unpushKey = (keyInfos, source = getDefaultSource()) => {
+  getHub(source).handlers.keyUp(keyInfos);
+};
+
+/**
+ * Returns true if the key described by the given informations is currently
+ * pushed on the given source (the default one if not set).
+ * A key sent through pushKey while no one listens to the source is not: it
+ * has been ignored.
+ * @param {Object} keyInfos
+ * @param {Object} [source]
+ * @returns {Boolean}
+ */
+const isKeyPushed = (keyInfos, source = getDefaultSource()) =>
+  getHub(source).keysPushed.includes(getKeyId(normalizeKeyInfos(keyInfos)));
+
+/**
+ * Listen to keydown and keyup events.
+ * @param {Function} getKeyName - Returns the key name for the given key
+ * informations. Keys without a key name are not listened to.
+ * @param {Object} [options]
+ * @param {Boolean} [options.preventDefault] - If true, preventDefault is
+ * called on every event for a listened key.
+ * @param {Object} [options.source] - The input source to listen to. The DOM
+ * by default.
+ * @param {Object} [options.tracer] - Records every key event received from
+ * the source (see tracer.js).
+ * @param {string|Array.<string>} [options.editable='always'] - Policy for
+ * the keys pushed while an editable element is focused (see
+ * misc/isAllowedOnEditable.js). The default behavior of the keys it ignores
+ * is never prevented, to not block typing.
+ * @returns {Object}
  */
-const keyUpCallbacks = [];
+const listen = (getKeyName,
+                { preventDefault, source, tracer, editable } = {}) => {
+  const { keysPushed,
+          keyInfosPushed,
+          keyDownCallbacks,
+          keyUpCallbacks,
+          preventers,
+          tracers,
+          handlers,
+          updateSourceState } = getHub(source || getDefaultSource());
 
-const listen = (keyCodes, { preventDefault } = {}) => {
   // keep track of which callbacks were added through this listen call
   const localKeyDownCallbacks = [];
   const localKeyUpCallbacks = [];
@@ -92,7 +797,6 @@ const listen = (keyCodes, { preventDefault } = {}) => {
   /**
    * Add new callback for a 'keydown' event on a webapp key
    * If the same callback was already registered, replace it.
-   * @param {Array.<Number>} keyCodes
    * @param {Function} - callback
    */
   const addKeyDownListener = (callback) => {
@@ -102,7 +806,7 @@ const listen = (keyCodes, { preventDefault } = {}) => {
         return;
       }
     }
-    const localKeyDownCallback = { keyCodes, callback };
+    const localKeyDownCallback = { getKeyName, callback };
     localKeyDownCallbacks.push(localKeyDownCallback);
     keyDownCallbacks.push(localKeyDownCallback);
   };
@@ -110,7 +814,6 @@ const listen = (keyCodes, { preventDefault } = {}) => {
   /**
    * Add new callback for a 'keyup' event on a webapp key.
    * If the same callback was already registered, replace it.
-   * @param {Array.<Number>} keyCodes
    * @param {Function} - callback
    */
   const addKeyUpListener = (callback) => {
@@ -120,7 +823,7 @@ const listen = (keyCodes, { preventDefault } = {}) => {
         return;
       }
     }
-    const localKeyUpCallback = { keyCodes, callback };
+    const localKeyUpCallback = { getKeyName, callback };
     localKeyUpCallbacks.push(localKeyUpCallback);
     keyUpCallbacks.push(localKeyUpCallback);
   };
@@ -174,22 +877,60 @@ const listen = (keyCodes, { preventDefault } = {}) => {
     }
   };
 
-  const preventDefaultCallback = evt => {
-    if (keyCodes.includes(getKeyCode(evt))) {
-      evt.preventDefault();
+  /**
+   * Returns the key name of the keys whose default behavior should be
+   * prevented.
+   * @param {Object} keyInfos
+   * @returns {string|undefined}
+   */
+  const getPreventedKeyName = (keyInfos) => {
+    const keyName = getKeyName(keyInfos);
+    return isAllowedOnEditable(editable, keyName, keyInfos) ? keyName :
+                                                             undefined;
+  };
+
+  const addPreventer = () => {
+    if (!preventers.includes(getPreventedKeyName)) {
+      preventers.push(getPreventedKeyName);
+    }
+  };
+
+  const removePreventer = () => {
+    const indexOf = preventers.indexOf(getPreventedKeyName);
+    if (indexOf >= 0) {
+      preventers.splice(indexOf, 1);
     }
   };
+
+  const addTracer = () => {
+    tracers.push(tracer);
+  };
+
+  const removeTracer = () => {
+    const indexOf = tracers.indexOf(tracer);
+    if (indexOf >= 0) {
+      tracers.splice(indexOf, 1);
+    }
+  };
+
   if (preventDefault) {
-    document.addEventListener('keydown', preventDefaultCallback);
-    document.addEventListener('keyup', preventDefaultCallback);
+    addPreventer();
+    updateSourceState();
+  }
+
+  if (tracer) {
+    addTracer();
   }
 
   return {
     on(event, callback) {
       if (isClosed && preventDefault) {
-        document.addEventListener('keydown', preventDefaultCallback);
-        document.addEventListener('keyup', preventDefaultCallback);
+        addPreventer();
+      }
+      if (isClosed && tracer) {
+        addTracer();
       }
+      isClosed = false;
       switch (event) {
         case 'keydown':
           addKeyDownListener(callback);
@@ -199,6 +940,7 @@ const listen = (keyCodes, { preventDefault } = {}) => {
           addKeyUpListener(callback);
           break;
       }
+      updateSourceState();
     },
 
     off(event, callback) {
@@ -209,109 +951,63 @@ const listen = (keyCodes, { preventDefault } = {}) => {
         case 'keyup':
           removeKeyUpListener(callback);
       }
+      updateSourceState();
     },
 
     close() {
       removeAllListeners();
-      document.removeEventListener('keydown', preventDefaultCallback);
-      document.removeEventListener('keyup', preventDefaultCallback);
+      removePreventer();
+      if (tracer && !isClosed) {
+        removeTracer();
+      }
+      updateSourceState();
       isClosed = true;
-    }
-  };
-};
-
-/**
- * Trigger every callbacks registered for the 'keydown' events with the
- * right arguments.
- *
- * @param {Number} keyCode
- */
-const triggerKeyDownEvent = (keyCode) => {
-  keyDownCallbacks.forEach((kdc) => {
-    if (kdc.keyCodes.includes(keyCode)) {
-      kdc.callback(keyCode);
-    }
-  });
-};
-
-/**
- * Trigger every callbacks registered for the 'keyup' events with the
- * right arguments.
- *
- * @param {Number} keyCode
- */
-const triggerKeyUpEvent = (keyCode) => {
-  keyUpCallbacks.forEach((kuc) => {
-    if (kuc.keyCodes.includes(keyCode)) {
-      kuc.callback(keyCode);
-    }
-  });
-};
-
-const getKeyCode = (evt) => {
-  const { keyCode } = evt;
-  return isSet(keyCode) ? keyCode :
-                          evt.which;
-};
-
-/**
- * Callback for the keydown event.
- * @param {Object} evt
- */
-const onKeyDown = (evt) => {
-  const keyCode = getKeyCode(evt);
-
-  // if the key is already pushed, quit, we have our own mean for consecutive
-  // keydowns
-  if (isKeyPushed(keyCode)) {
-    return;
-  }
-
-  // Consider the key as pushed from there
-  addKeyPushedToArray(keyCode);
+    },
 
-  // start sending keydown events
-  triggerKeyDownEvent(keyCode);
-};
+    /**
+     * Push the given key on this source, as if the source itself sent it.
+     * @param {Object} keyInfos
+     */
+    push(keyInfos) {
+      handlers.keyDown(keyInfos);
+    },
 
-/**
- * Callback for the keyup event.
- * @param {Object} evt
- */
-const onKeyUp = (evt) => {
-  const keyCode = getKeyCode(evt);
+    /**
+     * Release the given key on this source, as if the source itself sent
+     * it.
+     * @param {Object} keyInfos
+     */
+    release(keyInfos) {
+      handlers.keyUp(keyInfos);
+    },
 
-  // Consider the key as released from there.
-  removeKeyPushedFromArray(keyCode);
+    /**
+     * Returns the identifier of every key pushed on this source, in the
+     * order they were pushed.
+     * The array returned should not be mutated.
+     * @returns {Array.<Number|string>}
+     */
+    getPushedKeys() {
+      return keysPushed;
+    },
 
-  // send keyup event
-  triggerKeyUpEvent(keyCode);
+    /**
+     * Returns the informations (keyCode, key and code) of a key currently
+     * pushed (or currently being released) on this source.
+     * @param {Number|string} keyId
+     * @returns {Object|undefined}
+     */
+    getPushedKeyInfos(keyId) {
+      return keyInfosPushed[keyId];
+    }
+  };
 };
 
-/**
- * Returns true if the key from the given keyCode is considered pushed.
- *
- * Note: The keyCode has to be added / removed through the addKeyPushedToArray /
- * removeKeyPushedFromArray functions for this to work.
- * @returns {Boolean}
- */
-const isKeyPushed = keyCode => KEYCODES_PUSHED.includes(keyCode);
-
-// add event listeners
-
-document.addEventListener('keydown', onKeyDown);
-document.addEventListener('keyup', onKeyUp);
-
-// when not focusing the current window, release every keys to avoid having an
-// infinite keydown.
-// /!\ seems to not working well when changing tabs on chrome, sadly
-window.addEventListener('blur', () => {
-  // ugly but does the job
-  KEYCODES_PUSHED.forEach(keyCode =>
-    onKeyUp({ keyCode,
-              preventDefault: () => {} })
-  );
-});
-
-export { KEYCODES_PUSHED };
+export { KEYCODES_PUSHED,
+         createDOMSource,
+         createSyntheticSource,
+         getSource,
+         isKeyPushed,
+         pushKey,
+         unpushKey };
 export default listen;
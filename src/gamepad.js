@@ -0,0 +1,236 @@
+/**
+ * This file defines an adapter turning gamepad inputs into key events.
+ *
+ * The Gamepad API does not send any event when a button is pushed: the state
+ * of every gamepad has to be checked regularly. This adapter does just that
+ * and, on each change, sends the corresponding keydown / keyup through the
+ * events.js file, to the default input source or to the one given. Gamepads
+ * thus work exactly like keyboards for everything built on top of it
+ * (layers, press events, reEmit...).
+ *
+ * Each button and axis direction is linked to a key name through a mapping
+ * (see DEFAULT_GAMEPAD_MAPPING in config.js).
+ *
+ * The key events sent have:
+ *   - a null keyCode and key.
+ *   - a code identifying the gamepad and its input (e.g. 'Gamepad0Button12'
+ *     or 'Gamepad0Axis1+').
+ */
+
+import isSet from './misc/isSet.js';
+import { isKeyPushed, pushKey, unpushKey } from './events.js';
+import defaultConfig from './config.js';
+import getScheduler from './scheduler.js';
+
+const { DEFAULT_GAMEPAD_MAPPING,
+        DEFAULT_GAMEPAD_THRESHOLD,
+        DEFAULT_GAMEPAD_POLL_INTERVAL } = defaultConfig;
+
+/**
+ * Returns every gamepad currently connected.
+ * @returns {Array.<Object>}
+ */
+const getGamepads = () => {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+    return [];
+  }
+  return Array.prototype.filter.call(navigator.getGamepads() || [],
+    gamepad => gamepad && gamepad.connected !== false);
+};
+
+/**
+ * Returns the value of a gamepad button, between 0 and 1.
+ * Some older implementations represent buttons directly as numbers.
+ * @param {Object|Number} button
+ * @returns {Number}
+ */
+const getButtonValue = (button) => {
+  if (typeof button === 'number') {
+    return button;
+  }
+  return button.pressed ? 1 : button.value;
+};
+
+/**
+ * Create a new gamepad adapter.
+ * @param {Object} [opt]
+ * @param {Object} [opt.mapping] - Which key name corresponds to which button
+ * and axis. See DEFAULT_GAMEPAD_MAPPING in config.js.
+ * @param {Number} [opt.threshold] - Value from which an axis or an analog
+ * button is considered pushed.
+ * @param {Number} [opt.pollInterval] - Time, in ms, between two checks of the
+ * gamepads state.
+ * @param {Object} [opt.source] - Input source receiving the gamepad inputs
+ * (see events.js). The default one if not set: keyboards with their own
+ * source (the `source` or `target` option) only receive them if given the
+ * same one.
+ * @param {Object} [opt.scheduler] - See scheduler.js
+ * @returns {Object}
+ *
+ * @example
+ * ```js
+ * const gamepad = GamepadAdapter({
+ *   mapping: {
+ *     buttons: {
+ *       0: 'Enter', // A
+ *       1: 'Back', // B
+ *       12: 'Up', // D-pad
+ *       13: 'Down',
+ *       14: 'Left',
+ *       15: 'Right'
+ *     },
+ *     axes: {
+ *       0: ['Left', 'Right'], // left stick
+ *       1: ['Up', 'Down']
+ *     }
+ *   }
+ * });
+ *
+ * // start checking the gamepads
+ * gamepad.start();
+ *
+ * // the keyboard receives gamepad inputs like any other key
+ * keyboard.listen('Directions', (e) => { ... });
+ *
+ * // stop checking the gamepads (every key still pushed is released)
+ * gamepad.stop();
+ * ```
+ */
+export default (opt = {}) => {
+  const mapping = opt.mapping || DEFAULT_GAMEPAD_MAPPING;
+  const buttonsMapping = mapping.buttons || {};
+  const axesMapping = mapping.axes || {};
+
+  const threshold = isSet(opt.threshold) ? opt.threshold :
+                                           DEFAULT_GAMEPAD_THRESHOLD;
+
+  const pollInterval = isSet(opt.pollInterval) ?
+    opt.pollInterval : DEFAULT_GAMEPAD_POLL_INTERVAL;
+
+  const scheduler = getScheduler(opt.scheduler);
+
+  const source = opt.source;
+
+  /**
+   * Object where:
+   *   - keys are the codes of every gamepad input currently pushed, as
+   *     received by the source.
+   *   - values are the key informations sent on keydown.
+   * @type Object
+   */
+  const pushedInputs = {};
+
+  // setInterval's ID
+  let intervalId = null;
+
+  /**
+   * Returns the key informations for every input currently pushed on the
+   * given gamepad.
+   * @param {Object} gamepad
+   * @returns {Object} - code -> key informations
+   */
+  const getActiveInputs = (gamepad) => {
+    const activeInputs = {};
+    const prefix = `Gamepad${gamepad.index}`;
+
+    const addInput = (code, keyName) => {
+      activeInputs[code] = { keyCode: null, key: null, code, keyName };
+    };
+
+    Object.keys(buttonsMapping).forEach(index => {
+      const button = gamepad.buttons[index];
+      if (isSet(button) && getButtonValue(button) >= threshold) {
+        addInput(`${prefix}Button${index}`, buttonsMapping[index]);
+      }
+    });
+
+    Object.keys(axesMapping).forEach(index => {
+      const value = gamepad.axes[index];
+      const [negativeKeyName, positiveKeyName] = axesMapping[index];
+      if (value <= -threshold && isSet(negativeKeyName)) {
+        addInput(`${prefix}Axis${index}-`, negativeKeyName);
+      } else if (value >= threshold && isSet(positiveKeyName)) {
+        addInput(`${prefix}Axis${index}+`, positiveKeyName);
+      }
+    });
+    return activeInputs;
+  };
+
+  /**
+   * Send the keyup event of the given pushed input.
+   * @param {string} code
+   */
+  const releaseInput = (code) => {
+    const keyInfos = pushedInputs[code];
+    delete pushedInputs[code];
+    if (isKeyPushed(keyInfos, source)) {
+      unpushKey(keyInfos, source);
+    }
+  };
+
+  /**
+   * Check the state of every gamepad and send the keyup / keydown events
+   * corresponding to what changed since the last check.
+   */
+  const poll = () => {
+    const activeInputs = getGamepads()
+      .reduce((acc, gamepad) =>
+        Object.assign(acc, getActiveInputs(gamepad)), {});
+
+    // the source forgets its keys once no one listens to it anymore
+    Object.keys(pushedInputs).forEach(code => {
+      if (!isKeyPushed(pushedInputs[code], source)) {
+        delete pushedInputs[code];
+      }
+    });
+
+    // release first, so a direction going from one side to the other is
+    // sent as a keyup then a keydown
+    Object.keys(pushedInputs).forEach(code => {
+      if (!activeInputs.hasOwnProperty(code)) {
+        releaseInput(code);
+      }
+    });
+
+    // an input the source ignored (no one listened to it yet) is sent again
+    // on the next check, until it is received
+    Object.keys(activeInputs).forEach(code => {
+      if (!pushedInputs.hasOwnProperty(code)) {
+        pushKey(activeInputs[code], source);
+        if (isKeyPushed(activeInputs[code], source)) {
+          pushedInputs[code] = activeInputs[code];
+        }
+      }
+    });
+  };
+
+  return {
+    /**
+     * Start checking the gamepads state.
+     */
+    start() {
+      if (intervalId === null) {
+        intervalId = scheduler.setInterval(poll, pollInterval);
+      }
+    },
+
+    /**
+     * Stop checking the gamepads state and release every input still
+     * pushed.
+     */
+    stop() {
+      if (intervalId !== null) {
+        scheduler.clearInterval(intervalId);
+        intervalId = null;
+      }
+      Object.keys(pushedInputs).forEach(releaseInput);
+    },
+
+    /**
+     * Check the gamepads state right away.
+     * Useful if you want to drive the checks yourself (e.g. on each
+     * animation frame) instead of calling start.
+     */
+    poll
+  };
+};
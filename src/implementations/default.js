@@ -7,7 +7,7 @@ import createKeyboard from '../keyboard.js';
  * ```js
  * import RKeyboard from 'rkeyboard';
  *
- * const keyboard = Rkeyboard();
+ * const keyboard = RKeyboard();
  *
  * // trigger a callback for the 'Up' key keydown events
  * const keyListener = keyboard('Up',  {
@@ -82,6 +82,47 @@ import createKeyboard from '../keyboard.js';
  *   }
  * });
  *
+ * // either a short press or a long press, never both
+ * const okKey = keyboard('Enter', {
+ *   shortPress: true,
+ *   press: { after: 800 },
+ *   onShortPress: () => {
+ *     select();
+ *   },
+ *   onPress: () => {
+ *     openContextMenu();
+ *   }
+ * });
+ *
+ * // listening to a double-tap. The first push is not reported on its own.
+ * const doubleBack = keyboard('Back', {
+ *   taps: 2,
+ *   onMultiTap: () => {
+ *     exitApplication();
+ *   }
+ * });
+ *
+ * // listening to a sequence of keys
+ * const vimTop = keyboard({
+ *   sequence: ['g', 'g'],
+ *   sequenceTimeout: 500,
+ *
+ *   // 'g' was pushed once
+ *   onProgress: (e) => {
+ *     console.log(`${e.sequenceStep}/${e.sequence.length}`);
+ *   },
+ *
+ *   // the sequence was started but not finished in time
+ *   onReset: () => {
+ *     // ...
+ *   },
+ *
+ *   // 'g' was pushed twice in a row
+ *   onSequence: () => {
+ *     // ...
+ *   }
+ * });
+ *
  * // -- start and stop listening to keys --
  *
  * // first listen to the key and store the returned object
@@ -89,6 +130,38 @@ import createKeyboard from '../keyboard.js';
  *
  * // free the event listener
  * myKeyListener.unbind();
+ *
+ * // -- suspend listeners without losing their place --
+ *
+ * const shortcuts = keyboard('Enter', { onPush: () => {} });
+ *
+ * // the listeners below receive 'Enter' until shortcuts is resumed
+ * shortcuts.pause();
+ * shortcuts.resume();
+ *
+ * // suspend every listener at once
+ * keyboard.pause();
+ * keyboard.resume();
+ *
+ * // -- drive the application without a real keyboard --
+ *
+ * // push then release 'Up', as if the user did it
+ * keyboard.simulate('Up', 'push');
+ * keyboard.simulate('Up', 'release');
+ *
+ * // hold 'Enter' for 800ms (sending press events in the meantime)
+ * keyboard.tap('Enter', { hold: 800 }, () => {
+ *   // 'Enter' has been released
+ * });
+ *
+ * // -- modal layers --
+ *
+ * // only the keys listened to in the 'dialog' layer are received until it
+ * // is popped ('VolumeUp' still reaches the previous listeners)
+ * keyboard.pushLayer('dialog', { passthrough: ['VolumeUp'] });
+ * const dialogBack = keyboard('Back', { onPush: () => closeDialog() });
+ *
+ * keyboard.popLayer('dialog');
  * ```
  */
 function RKeyboard(opt) {
@@ -121,7 +194,12 @@ function RKeyboard(opt) {
         onRelease,
         onPress,
         onDown,
+        onMultiTap,
+        onShortPress,
         onEvent,
+        onProgress,
+        onReset,
+        onSequence,
         onUnbind,
         ...keyOptions
       } =  options;
@@ -139,22 +217,83 @@ function RKeyboard(opt) {
           case 'release':
             callIfExist(onRelease, evt);
             break;
+          case 'multitap':
+            callIfExist(onMultiTap, evt);
+            break;
+          case 'shortpress':
+            callIfExist(onShortPress, evt);
+            break;
+          case 'progress':
+            callIfExist(onProgress, evt);
+            break;
+          case 'reset':
+            callIfExist(onReset, evt);
+            break;
+          case 'sequence':
+            callIfExist(onSequence, evt);
+            break;
         }
         callIfExist(onEvent, evt);
       });
 
       return {
+        id: stopListening.id,
+
         unbind() {
           callIfExist(onUnbind);
           stopListening();
+        },
+
+        pause() {
+          stopListening.pause();
+        },
+
+        resume() {
+          stopListening.resume();
         }
       };
     },
 
+    simulate(keyName, action) {
+      kb.simulate(keyName, action);
+    },
+
+    tap(keyName, options, callback) {
+      kb.tap(keyName, options, callback);
+    },
+
+    pause() {
+      kb.pause();
+    },
+
+    resume() {
+      kb.resume();
+    },
+
+    use(middleware) {
+      return kb.use(middleware);
+    },
+
+    inspect() {
+      return kb.inspect();
+    },
+
+    whoHandles(keyName) {
+      return kb.whoHandles(keyName);
+    },
+
+    pushLayer(name, options) {
+      kb.pushLayer(name, options);
+    },
+
+    popLayer(name) {
+      kb.popLayer(name);
+    },
+
     free() {
       kb.close();
     }
   };
 }
 
-export default RKeyboard();
+export default RKeyboard;
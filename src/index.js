@@ -4,7 +4,8 @@
  *   - index.js: exports the general Keyboard module.
  *
  *   - events.js: adds an addKeyEventListener and a removeKeyEventListener
- *     function allowing anyone to define custom event listeners which:
+ *     function allowing anyone to define custom event listeners, on the DOM
+ *     or on any other input source, which:
  *       - only catch the keys defined in the key map.
  *       - prevent the default behavior for those keys.
  *       - avoid too much consecutive keydowns.
@@ -16,9 +17,21 @@
  *   - keyboard.js: defines a Keyboard factory, then used by any element
  *     wanting to perform actions on keyboard keys.
  *
+ *   - tracer.js: defines a tracer, recording the path taken by key events
+ *     through the files above (debug purposes).
+ *
  *   - implementations/*.js: multiple keyboard implementations. All based on
  *     keyboard.js.
  *
+ *   - spatial_navigation.js: defines a focus manager moving the focus between
+ *     DOM elements through the direction keys. Based on a RKeyboard.
+ *
+ *   - multi_tap_entry.js: defines a text entry through the numeric keys, as
+ *     on phone keypads. Based on a RKeyboard.
+ *
+ *   - numeric_entry.js: defines a numeric entry collecting digits (channel
+ *     numbers, PIN codes...). Based on a RKeyboard.
+ *
  * When starting listening to a key, the code called usually travel this way:
  * _application_ -> keyboard.js -> key_catcher.js
  *
@@ -30,12 +43,34 @@ import './misc/polyfill.js';
 import RxKeyboard from './implementations/rx.js';
 import RKeyboard from './implementations/default.js';
 import createKeyboard from './keyboard.js';
+import GamepadAdapter from './gamepad.js';
+import createTracer from './tracer.js';
+import createSpatialNavigation from './spatial_navigation.js';
+import createMultiTapEntry from './multi_tap_entry.js';
+import createNumericEntry from './numeric_entry.js';
+import { createDOMSource, createSyntheticSource } from './events.js';
+import { createTestKeyboard, createVirtualClock } from './testing.js';
+import { PRESETS, detectPreset } from './presets.js';
 
 export {
+  GamepadAdapter,
+  PRESETS,
   RKeyboard,
   RxKeyboard,
-  createKeyboard
+  createDOMSource,
+  createKeyboard,
+  createMultiTapEntry,
+  createNumericEntry,
+  createSpatialNavigation,
+  createSyntheticSource,
+  createTestKeyboard,
+  createTracer,
+  createVirtualClock,
+  detectPreset
 };
 
-window.RKeyboard = RKeyboard;
+// nothing is done when imported outside of a browser (e.g. server-side)
+if (typeof window !== 'undefined') {
+  window.RKeyboard = RKeyboard;
+}
 export default RKeyboard;
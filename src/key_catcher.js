@@ -1,8 +1,15 @@
-import uniq from './misc/uniq.js';
 import isSet from './misc/isSet.js';
-import listen, { KEYCODES_PUSHED } from './events.js';
+import isAllowedOnEditable from './misc/isAllowedOnEditable.js';
+import runMiddlewares from './misc/runMiddlewares.js';
+import listen, { getSource } from './events.js';
+import { isOrderedCombination,
+         parseCombination } from './combinations.js';
+import { createKeyNameGetter,
+         getAllKeyNames,
+         getKeyMaps } from './key_maps.js';
 
 import defaultConfig from './config.js';
+import getScheduler from './scheduler.js';
 
 /**
  * This is the KeyCatcher function.
@@ -11,7 +18,14 @@ import defaultConfig from './config.js';
  * customizable propagation rules.
  *
  * Those events are received when a user provoked a keydown or keyup event on
- * the DOM.
+ * the DOM, or on the input source given through the `source` option (see
+ * events.js).
+ *
+ * Timers rely on the scheduler given through the `scheduler` option (see
+ * scheduler.js), the builtin ones by default.
+ *
+ * Each dispatch can be recorded by the tracer given through the `tracer`
+ * option (see tracer.js).
  *
  * It also brings the following features:
  *
@@ -26,14 +40,40 @@ import defaultConfig from './config.js';
  *     event when a registration is done after the key was initially pushed.
  *
  *
+ *   - "key combinations", registered as key names with every key separated by
+ *     a '+' character (e.g. 'Ctrl+Up'). They follow the same propagation
+ *     rules than any other key.
+ *     When a keydown completes a combination which is currently listened to,
+ *     the combination's callbacks are called instead of the ones for the
+ *     last key pushed.
+ *     Combinations separated by '>' characters (e.g. 'Ctrl>Up') are only
+ *     completed if their keys were pushed in that order.
+ *
+ *
+ *   - "modal layers", named groups of callbacks shadowed and restored
+ *     together. Every callback registered while a modal layer is on top
+ *     belongs to it. Only the callbacks of the top modal layer are called,
+ *     except for the keys it lets pass through, which can also reach the
+ *     layer below.
+ *
+ *
+ *   - "editable policies", telling whether a callback receives the keys
+ *     pushed while an editable element (input, textarea, select,
+ *     contentEditable) is focused: 'always', 'ignore' or only for the key
+ *     names listed. The `editable` option sets the default one.
+ *
+ *
  * @example
  * const kc = KeyCatcher();
  *
- * const myFirstCallback = ({ type, keyName, keyCode }) => {
+ * const myFirstCallback = ({ type, keyName, keyId, keyCode, key, code }) => {
  *   // type: 'keydown' or 'keyup'
- *   // keyName: name of the key as defined in the keyMap
- *   // keyCode: keyCode of the key pressed
- *   console.log(type, keyName, keyCode);
+ *   // keyName: name of the key as defined in the key maps
+ *   // keyId: identifier of the key pressed (its code, or keyCode if unknown)
+ *   // keyCode, key, code: properties of the original event (null if unknown)
+ *   // isDelayed: the event was delayed by a middleware (see the use
+ *   // function), the key might not be pushed anymore
+ *   console.log(type, keyName, keyId, keyCode, key, code);
  *
  *   // you can directly stop the propagation to the next listening callback
  *   // this way
@@ -68,10 +108,41 @@ import defaultConfig from './config.js';
  *
  * // unregister Exit now
  * kc.unregister(['Exit'], mySecondCallback);
+ *
+ * // register a combination: called when both 'Ctrl' and 'Up' are held
+ * kc.register(['Ctrl+Up'], myFirstCallback);
+ *
+ * // register an ordered combination: called when 'Up' is pushed while 'Ctrl'
+ * // is held (but not when 'Ctrl' is pushed while 'Up' is held)
+ * kc.register(['Ctrl>Up'], myFirstCallback);
+ *
+ * // open a modal layer: from now on, only the callbacks registered in it
+ * // are called, except for 'VolumeUp' which also reaches the layer below
+ * kc.pushLayer('dialog', { passthrough: ['VolumeUp'] });
+ * kc.register(['Enter', 'Back'], myDialogCallback);
+ *
+ * // close it: the callbacks registered before are called again
+ * kc.popLayer('dialog');
  */
 export default (opt = {}) => {
 
-  const keyMap = opt.keyMap || defaultConfig.KEY_MAP;
+  const keyMaps = getKeyMaps(opt);
+
+  /**
+   * Returns the key name for the given key informations.
+   * @type Function
+   */
+  const getKeyName = createKeyNameGetter(keyMaps);
+
+  /**
+   * Returns the key name of a key currently pushed.
+   * @param {Number|string} keyId
+   * @returns {string|undefined}
+   */
+  const getPushedKeyName = (keyId) => {
+    const keyInfos = listener.getPushedKeyInfos(keyId);
+    return keyInfos && getKeyName(keyInfos);
+  };
 
   const defaultPropagate = opt.propagate ||
                            defaultConfig.DEFAULT_PROPAGATE_VALUE;
@@ -82,6 +153,36 @@ export default (opt = {}) => {
   const defaultReemit = opt.reEmit ||
                         defaultConfig.DEFAULT_REEMIT_VALUE;
 
+  const defaultEditable = opt.editable ||
+                          defaultConfig.DEFAULT_EDITABLE_POLICY;
+
+  /**
+   * Timing functions used for the re-emitting timeouts.
+   * @type Object
+   */
+  const scheduler = getScheduler(opt.scheduler);
+
+  /**
+   * Create a listener, on the input source given in option (the DOM, or the
+   * part of the DOM given as a target, by default).
+   * @type Object
+   */
+  const listener = listen(getKeyName, { preventDefault,
+                                        source: getSource(opt),
+                                        tracer: opt.tracer,
+                                        editable: defaultEditable });
+
+  /**
+   * Record the given step on the tracer given in option, if one.
+   * @param {string} step
+   * @param {Function} getData - Returns the data of the step.
+   */
+  const trace = (step, getData) => {
+    if (opt.tracer) {
+      opt.tracer.trace(step, getData);
+    }
+  };
+
   // /**
   //  * Store every keyName from every key currently held, in the right order.
   //  * @type Array.<string>
@@ -89,9 +190,10 @@ export default (opt = {}) => {
   // const KEYNAMES_PUSHED = [];
 
   /**
-   * Store every key combination wanted.
-   * Example: [['Ctrl', 'Up'], ['a', 'b']]
-   * @type Array.Array.<string>
+   * Store every key combination wanted, with its name, key names and whether
+   * those should be pushed in order.
+   * Example: [{ name: 'Ctrl>Up', keyNames: ['Ctrl', 'Up'], isOrdered: true }]
+   * @type Array.<Object>
    */
   const KEY_COMBINATIONS = [];
 
@@ -103,11 +205,14 @@ export default (opt = {}) => {
   const KEY_COMBINATIONS_KEYS = [];
 
   /**
-   * Create a listener.
+   * Object where:
+   *   - keys are the names of the combinations currently pushed.
+   *   - values are always true.
+   * Used to know which combinations should be released on keyup and to avoid
+   * triggering the same combination multiple times in a row.
    * @type Object
    */
-  const listener = listen(Object.keys(keyMap).map(x => +x),
-                          { preventDefault });
+  const activeCombinations = {};
 
   /**
    * Here we define internal mechanisms to precisely manage propagation
@@ -151,6 +256,12 @@ export default (opt = {}) => {
    *   key "Up" and only the 'i' for the key "Enter". As you can see, it is simply
    *   the last array from the layers.<KEY_NAME> array which is considered
    *   each time.
+   *
+   *   7. Each array also has a priority (0 by default). A callback registered
+   *   with a higher priority is placed above the arrays with a lower one,
+   *   even if those were added after it. With 'k' registered for "Up" with a
+   *   priority of 1 before all of the above, the layers object would be:
+   *   layers -> { Up: [ [a], [c, g, h], [i, j], [k] ], Enter: [ [h], [i] ] }
    */
 
   /**
@@ -160,17 +271,36 @@ export default (opt = {}) => {
    */
   const layers = {};
 
+  /**
+   * Link each level of the layers object (array of callbacks) to the
+   * priority of its callbacks.
+   * @type WeakMap
+   */
+  const levelPriorities = new WeakMap();
+
+  /**
+   * Create a new level for the layers object, with a single callback.
+   * @param {Function} callback
+   * @param {Number} priority
+   * @returns {Array.<Function>}
+   */
+  const createLevel = (callback, priority) => {
+    const level = [callback];
+    levelPriorities.set(level, priority);
+    return level;
+  };
+
   // -- The three following variables are here for reEmit rules --
 
   /**
    * Object where:
    *   - keys are keyNames
-   *   - values are the keyCodes (linked to the keyName) currently hold for
-   *     reEmitting on the last listening callback, if it wants reEmit.
+   *   - values are the key identifiers (linked to the keyName) currently hold
+   *     for reEmitting on the last listening callback, if it wants reEmit.
    *
    * Changes:
    *   - each times a keyName's top callback changes.
-   *   - each times a keyup is received for one of the keyCodes
+   *   - each times a keyup is received for one of the keys
    * @type Object
    */
   const keyCodesMaintained = {};
@@ -196,39 +326,261 @@ export default (opt = {}) => {
    */
   const reEmitTimeouts = new WeakMap();
 
+  /**
+   * Functions every key event goes through before being dispatched, in the
+   * order they were added (see the use function).
+   * @type Array.<Function>
+   */
+  const middlewares = [];
+
+  /**
+   * Object where:
+   *   - keys are identifiers of keys pushed
+   *   - values are the keyName and keyInfos their keydown was dispatched
+   *     with, after going through the middlewares.
+   * Their keyup is dispatched with the same ones, so the callbacks release
+   * what they pushed even if the middlewares changed in between.
+   * @type Object
+   */
+  const keyDownsDispatched = {};
+
+  /**
+   * Object where:
+   *   - keys are identifiers of keys released
+   *   - values are functions dispatching their keyup, which went through
+   *     the middlewares before their keydown (still delayed by them).
+   * @type Object
+   */
+  const keyUpsWaiting = {};
+
+  /**
+   * Link callbacks to their propagate option and to the informations given
+   * through the `infos` option at registration.
+   * Only used for introspection (see the inspect function).
+   * @type WeakMap
+   */
+  const callbackInfos = new WeakMap();
+
+  /**
+   * Link callbacks to their editable policy (see misc/isAllowedOnEditable.js).
+   * Added at registration.
+   * @type WeakMap
+   */
+  const callbackEditables = new WeakMap();
+
+  // -- The two following variables are here for pausing callbacks --
+
+  /**
+   * Every callback currently paused.
+   * Those are skipped when triggering catchers, as if they were unregistered.
+   * @type WeakSet
+   */
+  const pausedCallbacks = new WeakSet();
+
+  /**
+   * If true, no callback is triggered at all.
+   * @type Boolean
+   */
+  let isPaused = false;
+
+  // -- The two following variables are here for modal layers --
+
+  /**
+   * Modal layers currently pushed, from the bottom to the top one.
+   * Example: [{ name: 'menu', passthrough: [] },
+   *           { name: 'dialog', passthrough: ['VolumeUp'] }]
+   * @type Array.<Object>
+   */
+  const modalLayers = [];
+
+  /**
+   * Link callbacks to the name of the modal layer they were registered in
+   * (null for callbacks registered outside of any modal layer).
+   * Added at registration.
+   * @type WeakMap
+   */
+  const callbackLayers = new WeakMap();
+
+  /**
+   * Returns the name of the modal layer currently on top, null if none.
+   * @returns {string|null}
+   */
+  const getCurrentLayer = () => modalLayers.length ?
+    modalLayers[modalLayers.length - 1].name : null;
+
+  /**
+   * Returns the names of the modal layers whose callbacks can receive the
+   * given key: the top one, then each layer below as long as the key passes
+   * through the layer above it. null stands for callbacks registered outside
+   * of any modal layer.
+   * @param {string} keyName
+   * @returns {Array.<string|null>}
+   */
+  const getEligibleLayers = (keyName) => {
+    const eligibleLayers = [];
+    for (let i = modalLayers.length - 1; i >= 0; i--) {
+      const { name, passthrough } = modalLayers[i];
+      eligibleLayers.push(name);
+      if (!passthrough.includes(keyName)) {
+        return eligibleLayers;
+      }
+    }
+    eligibleLayers.push(null);
+    return eligibleLayers;
+  };
+
   /**
    * Return list of active callbacks for the corresponding key.
+   * That is the last level of layers.<KEY_NAME> with callbacks which are not
+   * paused and from an eligible modal layer (see getEligibleLayers), only
+   * containing those.
    * @param {string} keyName
    * @returns {Array.Array.<Function>}
    */
   const getActiveCatchers = (keyName) => {
-    // if keyCatchersLen is equal to a falsy value here, it means either:
-    //   1. layers.<KEY_NAME> is not defined (never be listened to yet)
-    //   2. layers.<KEY_NAME> is empty, meaning that noone is listening to
-    //      it now (even if it has been listened to).
-    const keyCatchersLen = layers[keyName] &&
-      layers[keyName].length;
-
-    if (!keyCatchersLen) {
+    // if layers.<KEY_NAME> is not defined, no one listen to this key
+    const keyCatchers = layers[keyName];
+    if (!keyCatchers || isPaused) {
       return [];
     }
 
-    // get all callbacks for this keyName
-    return layers[keyName][keyCatchersLen - 1].slice(0);
+    const eligibleLayers = getEligibleLayers(keyName);
+    for (let i = keyCatchers.length - 1; i >= 0; i--) {
+      const callbacks = keyCatchers[i].filter(callback =>
+        !pausedCallbacks.has(callback) &&
+        eligibleLayers.includes(callbackLayers.get(callback)));
+      if (callbacks.length) {
+        return callbacks;
+      }
+    }
+    return [];
+  };
+
+  /**
+   * Returns the callback receiving the events of the given key first (the
+   * last active one), which decides of the reEmit rules for it.
+   * @param {string} keyName
+   * @returns {Function|undefined}
+   */
+  const getTopCatcher = (keyName) => {
+    const callbacks = getActiveCatchers(keyName);
+    return callbacks[callbacks.length - 1];
+  };
+
+  /**
+   * Returns the top callback of every key listened to.
+   * @returns {Object} - keyName -> callback
+   */
+  const getTopCatchers = () => Object.keys(layers)
+    .reduce((acc, keyName) => {
+      acc[keyName] = getTopCatcher(keyName);
+      return acc;
+    }, {});
+
+  /**
+   * Stop maintaining the keys of the given name for re-emitting.
+   * @param {string} keyName
+   */
+  const cancelReEmit = (keyName) => {
+    const reEmitTimeoutId = reEmitTimeoutIds[keyName];
+    if (reEmitTimeoutId) {
+      scheduler.clearTimeout(reEmitTimeoutId);
+      reEmitTimeoutIds[keyName] = 0;
+    }
+    delete keyCodesMaintained[keyName];
+  };
+
+  /**
+   * Re-emit a keydown event, after the given delay, for every key of the
+   * given name currently pushed (if still pushed by then).
+   * @param {string} keyName
+   * @param {Number} delay
+   */
+  const scheduleReEmit = (keyName, delay) => {
+    const keyIds = listener.getPushedKeys()
+      .filter(keyId => getPushedKeyName(keyId) === keyName);
+
+    // our wanted key is not pressed
+    if (!keyIds.length) {
+      return;
+    }
+
+    keyCodesMaintained[keyName] = keyIds;
+    reEmitTimeoutIds[keyName] = scheduler.setTimeout(() => {
+      const keyIdsMaintained = keyCodesMaintained[keyName] || [];
+      reEmitTimeoutIds[keyName] = 0;
+      delete keyCodesMaintained[keyName];
+      keyIdsMaintained.forEach(keyId => {
+        dispatchKeyDown(keyId, true);
+      });
+    }, delay);
+  };
+
+  /**
+   * Update the reEmit rules of a key after its callbacks changed: if its top
+   * callback is not the same anymore, the pending re-emit is cancelled and
+   * the new top callback's reEmit rule is applied.
+   * @param {string} keyName
+   * @param {Function|undefined} previousTop - Top callback before the change.
+   */
+  const updateReEmit = (keyName, previousTop) => {
+    const top = getTopCatcher(keyName);
+    if (top === previousTop) {
+      return;
+    }
+    cancelReEmit(keyName);
+
+    const reEmit = top && reEmitTimeouts.get(top);
+    if (reEmit >= 0) {
+      scheduleReEmit(keyName, reEmit);
+    }
+  };
+
+  /**
+   * Update the reEmit rules of every key given, after their callbacks
+   * changed.
+   * @param {Object} previousTops - keyName -> top callback before the
+   * change, as returned by getTopCatchers.
+   */
+  const updateReEmits = (previousTops) => {
+    Object.keys(previousTops).forEach(keyName => {
+      updateReEmit(keyName, previousTops[keyName]);
+    });
   };
 
 
   /**
    * Trigger every catcher callbacks for a particular key.
    * @param {string} type - 'keydown' or 'keyup'
-   const @param {string} keyName - Key name as registered in the KeyMap. Can directly
-   * be retrieved from the keyCode but added there for simplicity.
-   * @param {Number} keyCode - KeyCode for the corresponding key. Still needed as
-   * an id, in case multiple keyCodes have the same keyName.
+   * @param {string} keyName - Key name as registered in the key maps. Can
+   * directly be retrieved from the key informations but added there for
+   * simplicity.
+   * @param {Number|string} keyId - Identifier for the corresponding key. Still
+   * needed as an id, in case multiple keys have the same keyName.
+   * @param {Object} keyInfos - keyCode, key and code of the key, as well as
+   * whether it was pushed while an editable element was focused.
+   * @param {Boolean} [isDelayed=false] - The event was delayed by a
+   * middleware: the key might not be pushed anymore.
    */
-  const triggerCatchers = (type, keyName, keyCode) => {
+  const triggerCatchers = (type, keyName, keyId, keyInfos,
+                           isDelayed = false) => {
+    const { keyCode, key, code } = keyInfos;
+
     const callbacks = getActiveCatchers(keyName);
 
+    trace('catcher:dispatch', () => {
+      const described = (layers[keyName] || [])
+        .reduce((acc, level) => acc.concat(level), [])
+        .reverse()
+        .map(callback => describeCallback(keyName, callback, callbacks));
+      return { type,
+               keyName,
+               keyId,
+               modalLayers: modalLayers.map(l => l.name),
+               bindings: described.filter(c => !c.shadowed),
+               shadowed: described.filter(c => c.shadowed) };
+    });
+
     // variable set at true only the first time we loop on callbacks.
     // Used to work arround a very specific usecase: a catcherCb being
     // unregistered when calling another catcherCb (!)
@@ -236,6 +588,8 @@ export default (opt = {}) => {
 
     // call the last callbacks registered first
     for (let i = callbacks.length - 1; i >= 0; i--) {
+      const callback = callbacks[i];
+
       /**
        * Context given.
        * Allow to stopPropagation when the user want, and signal supplementary
@@ -247,104 +601,307 @@ export default (opt = {}) => {
          * Callback which stop propagating the current event.
          */
         stopPropagation: () => {
+          trace('catcher:stopPropagation', () => ({
+            type,
+            keyName,
+            keyId,
+            binding: callbackInfos.get(callback),
+            skipped: callbacks.slice(0, i)
+              .reverse()
+              .map(cb => callbackInfos.get(cb))
+          }));
           i = -1;
         }
       };
 
-      const callback = callbacks[i];
-
       // callback could have been unregistered since if we are not on the
       // initial call.
       if (initial || getActiveCatchers(keyName).indexOf(callback) >= 0) {
-        callback.call(obj, { type, keyName, keyCode });
+        // a callback ignoring the key still shadows the ones below it
+        if (isAllowedOnEditable(callbackEditables.get(callback),
+                                keyName,
+                                keyInfos)) {
+          callback.call(obj, { type,
+                               keyName,
+                               keyId,
+                               keyCode,
+                               key,
+                               code,
+                               isDelayed });
+        }
         initial = false;
       }
     }
   };
 
-  const triggerCombinations = (keyCode, keyName) => {
-    // if this key is involved in a combination
-    if (KEY_COMBINATIONS_KEYS.includes(keyName)) {
-      /**
-       * 2D Array ([n][3]) which contains, for each of n combinations:
-       *   1. The needed keyNames we have to check for push
-       *   2. The corresponding keyCodes as they are found
-       *   3. The combinations eligible
-       * @type Array.<Array.Array<string, Number, string>>
-       */
-      const arr = [];
+  /**
+   * Add a combination to the list of combinations checked on each keydown.
+   * Does nothing if it was already added.
+   * @param {string} combinationName
+   * @param {Array.<string>} combination - Every key name involved.
+   */
+  const addCombination = (combinationName, combination) => {
+    if (KEY_COMBINATIONS.some(c => c.name === combinationName)) {
+      return;
+    }
+    KEY_COMBINATIONS.push({ name: combinationName,
+                            keyNames: combination,
+                            isOrdered: isOrderedCombination(combinationName) });
+    combination.forEach(keyName => {
+      if (!KEY_COMBINATIONS_KEYS.includes(keyName)) {
+        KEY_COMBINATIONS_KEYS.push(keyName);
+      }
+    });
+  };
 
-      // 1 - get every combinations including keyName
-      KEY_COMBINATIONS.forEach(combination => {
-        const indexOf = combination.indexOf(keyName);
-        if (indexOf >= 0) {
-          arr.push([
-            [ ...combination].splice(indexOf, 1),
-            [],
-            [combination]
-          ]);
+  /**
+   * Remove a combination from the list of combinations checked on each
+   * keydown.
+   * @param {string} combinationName
+   */
+  const removeCombination = (combinationName) => {
+    const indexOf = KEY_COMBINATIONS.findIndex(c => c.name === combinationName);
+    if (indexOf < 0) {
+      return;
+    }
+    KEY_COMBINATIONS.splice(indexOf, 1);
+    delete activeCombinations[combinationName];
+
+    // re-construct KEY_COMBINATIONS_KEYS from the remaining combinations
+    KEY_COMBINATIONS_KEYS.length = 0;
+    KEY_COMBINATIONS.forEach(({ keyNames }) => {
+      keyNames.forEach(keyName => {
+        if (!KEY_COMBINATIONS_KEYS.includes(keyName)) {
+          KEY_COMBINATIONS_KEYS.push(keyName);
         }
       });
+    });
+  };
 
-      // 2 - second loop to find all combination completely performed
-      for (let i = KEYCODES_PUSHED.length - 1; i >= 0; i--) {
-        if (KEYCODES_PUSHED[i] !== keyCode) {
-          arr.forEach(m => {
-            const indexOf = m[0].indexOf(keyMap[keyCode]);
-            if (indexOf >= 0) {
-              m[0].splice(indexOf, 1);
-              m[1][indexOf] = keyCode;
-            }
-          });
-        }
-      }
+  /**
+   * Trigger keydown catchers of every combination completed by the given key.
+   * Returns true if at least one of those combinations had active catchers, in
+   * which case the key is considered as consumed by the combination.
+   * @param {Number|string} keyId - Identifier of the key just pushed.
+   * @param {string} keyName - keyName of the key just pushed.
+   * @param {Object} keyInfos - keyCode, key and code of the key just pushed.
+   * @param {Boolean} isDelayed - The keydown was delayed by a middleware.
+   * @returns {Boolean}
+   */
+  const triggerCombinations = (keyId, keyName, keyInfos, isDelayed) => {
+    // if this key is not involved in any combination, quit
+    if (!KEY_COMBINATIONS_KEYS.includes(keyName)) {
+      return false;
+    }
 
-      // 3 - find all combination we should trigger in order they have been
-      // asked for and trigger it.
-      arr.forEach(o => {
-        if (!o[0].length) {
-          const keyCode = o[1];
+    // keyNames of every key held, in the order they were pushed
+    const keyNamesPushed = listener.getPushedKeys().map(getPushedKeyName);
 
-          // trigger each of its catchers
-          triggerCatchers('keydown', o[2], keyCode);
-        }
+    /**
+     * Returns true if every key of the given combination is held (and in the
+     * right order for ordered combinations).
+     * @param {Array.<string>} keyNames
+     * @param {Boolean} isOrdered
+     * @returns {Boolean}
+     */
+    const isCombinationPushed = (keyNames, isOrdered) => {
+      if (!isOrdered) {
+        return keyNames.every(kn => keyNamesPushed.includes(kn));
+      }
+
+      // each key should have been pushed after the precedent one
+      let lastIndex = -1;
+      return keyNames.every(kn => {
+        lastIndex = keyNamesPushed.indexOf(kn, lastIndex + 1);
+        return lastIndex >= 0;
       });
-    }
+    };
+
+    let isConsumed = false;
+    KEY_COMBINATIONS.forEach(({ name, keyNames, isOrdered }) => {
+      if (activeCombinations[name] ||
+          !keyNames.includes(keyName) ||
+          !isCombinationPushed(keyNames, isOrdered)) {
+        return;
+      }
+
+      activeCombinations[name] = true;
+      if (getActiveCatchers(name).length) {
+        isConsumed = true;
+      }
+
+      // trigger each of its catchers
+      triggerCatchers('keydown', name, keyId, keyInfos, isDelayed);
+    });
+    return isConsumed;
   };
 
   /**
-   * Callback called on keydown.
-   * @param {Object} keyEvent
-   * @param {string} keyEvent.keyName
-   * @param {Number} keyEvent.keyCode
+   * Trigger keyup catchers of every combination currently pushed which
+   * involves the given key.
+   * @param {Number|string} keyId - Identifier of the key just released.
+   * @param {string} keyName - keyName of the key just released.
+   * @param {Object} keyInfos - keyCode, key and code of the key just released.
+   */
+  const releaseCombinations = (keyId, keyName, keyInfos) => {
+    KEY_COMBINATIONS.forEach(({ name, keyNames }) => {
+      if (activeCombinations[name] && keyNames.includes(keyName)) {
+        delete activeCombinations[name];
+        triggerCatchers('keyup', name, keyId, keyInfos);
+      }
+    });
+  };
+
+  /**
+   * Send the keydown of the given key through the middlewares, then to the
+   * catchers.
+   * @param {Number|string} keyId - Identifier of the key pushed.
+   * @param {Boolean} isReEmit - The key is re-emitted, its keydown is only
+   * dispatched if it is still pushed by then.
    */
-  const onDownEvent = (keyCode) => {
-    const keyName = keyMap[keyCode];
+  const dispatchKeyDown = (keyId, isReEmit) => {
+    const keyInfos = listener.getPushedKeyInfos(keyId);
+    const keyEvt = Object.assign({ type: 'keydown',
+                                   keyName: getKeyName(keyInfos),
+                                   keyId }, keyInfos);
+
+    // set once the middlewares returned without calling next
+    let isDelayed = false;
 
-    // trigger each of its catchers
-    triggerCatchers('keydown', keyName, keyCode);
+    runMiddlewares(middlewares, keyEvt, (finalKeyEvt) => {
+      if (isReEmit && !listener.getPushedKeys().includes(keyId)) {
+        return;
+      }
 
-    triggerCombinations(keyCode, keyName);
+      const { keyName, keyCode, key, code, isEditable } = finalKeyEvt;
+      const finalKeyInfos = { keyCode, key, code, isEditable };
+      keyDownsDispatched[keyId] = { keyName, keyInfos: finalKeyInfos };
+
+      // combinations are checked first, as they take precedence over the
+      // key which completed them
+      const isConsumed = triggerCombinations(keyId,
+                                             keyName,
+                                             finalKeyInfos,
+                                             isDelayed);
+
+      if (!isConsumed) {
+        // trigger each of its catchers
+        triggerCatchers('keydown', keyName, keyId, finalKeyInfos, isDelayed);
+      }
+
+      // the key was released while its keydown was delayed
+      const dispatchKeyUp = keyUpsWaiting[keyId];
+      if (dispatchKeyUp) {
+        delete keyUpsWaiting[keyId];
+        dispatchKeyUp();
+      }
+    });
+    isDelayed = true;
+  };
+
+  /**
+   * Callback called on keydown.
+   * @param {Number|string} keyId - Identifier of the key pushed.
+   */
+  const onDownEvent = (keyId) => {
+    dispatchKeyDown(keyId, false);
   };
 
   /**
    * Callback called on keyup.
-   * @param {Object} keyEvent
-   * @param {string} keyEvent.keyName
-   * @param {Number} keyEvent.keyCode
+   * @param {Number|string} keyId - Identifier of the key released.
+   * @param {Object} eventKeyInfos - keyCode, key and code from the keyup
+   * event.
    */
-  const onUpEvent = (keyCode) => {
-    const keyName = keyMap[keyCode];
+  const onUpEvent = (keyId, eventKeyInfos) => {
+    // prefer the informations from the keydown event, as the key value could
+    // have changed in between (e.g. if 'Shift' was pushed)
+    const keyInfos = listener.getPushedKeyInfos(keyId) || eventKeyInfos;
+    const keyName = getKeyName(keyInfos);
 
-    // if the keyCode was maintained (for reEmitting the event),
+    // if the keyId was maintained (for reEmitting the event),
     // stop doing it now that it's released.
     const indexOf = keyCodesMaintained[keyName] &&
-      keyCodesMaintained[keyName].indexOf(keyCode);
+      keyCodesMaintained[keyName].indexOf(keyId);
     if (indexOf >= 0) {
       keyCodesMaintained[keyName].splice(indexOf, 1);
     }
 
-    triggerCatchers('keyup', keyName, keyCode);
+    const keyEvt = Object.assign({ type: 'keyup', keyName, keyId }, keyInfos);
+    runMiddlewares(middlewares, keyEvt, () => {
+      // dispatched as the keydown was, whatever the middlewares did to it
+      const dispatchKeyUp = () => {
+        const keyDown = keyDownsDispatched[keyId];
+        delete keyDownsDispatched[keyId];
+
+        triggerCatchers('keyup', keyDown.keyName, keyId, keyDown.keyInfos);
+
+        releaseCombinations(keyId, keyDown.keyName, keyDown.keyInfos);
+      };
+
+      if (keyDownsDispatched[keyId]) {
+        dispatchKeyUp();
+      } else {
+        keyUpsWaiting[keyId] = dispatchKeyUp;
+      }
+    });
+  };
+
+  /**
+   * Returns why the given callback does not receive the events of the given
+   * key, null if it does:
+   *   - 'paused': it is paused (or every callback is).
+   *   - 'layer': its modal layer is not reachable for that key.
+   *   - 'propagation': callbacks above it do not propagate that key.
+   * @param {string} keyName
+   * @param {Function} callback
+   * @param {Array.<Function>} activeCatchers - As returned by
+   * getActiveCatchers.
+   * @returns {string|null}
+   */
+  const getShadowReason = (keyName, callback, activeCatchers) => {
+    if (activeCatchers.includes(callback)) {
+      return null;
+    }
+    if (isPaused || pausedCallbacks.has(callback)) {
+      return 'paused';
+    }
+    if (!getEligibleLayers(keyName).includes(callbackLayers.get(callback))) {
+      return 'layer';
+    }
+    return 'propagation';
+  };
+
+  /**
+   * Returns a serialisable description of a callback registered for the
+   * given key.
+   * @param {string} keyName
+   * @param {Function} callback
+   * @param {Array.<Function>} activeCatchers - As returned by
+   * getActiveCatchers.
+   * @returns {Object}
+   */
+  const describeCallback = (keyName, callback, activeCatchers) => {
+    const shadowedBy = getShadowReason(keyName, callback, activeCatchers);
+    return Object.assign({}, callbackInfos.get(callback), {
+      reEmit: reEmitTimeouts.get(callback),
+      layer: callbackLayers.get(callback),
+      paused: pausedCallbacks.has(callback),
+      shadowed: shadowedBy !== null,
+      shadowedBy
+    });
+  };
+
+  /**
+   * Remove a modal layer from the stack.
+   * Does nothing if it is not currently pushed.
+   * @param {string} name
+   */
+  const removeModalLayer = (name) => {
+    const indexOf = modalLayers.findIndex(l => l.name === name);
+    if (indexOf >= 0) {
+      modalLayers.splice(indexOf, 1);
+    }
   };
 
   // returned object
@@ -357,7 +914,7 @@ export default (opt = {}) => {
    * This callback will have in arguments three values:
    *   1. eventName {string}: 'keydown' or 'keyup' for these respective events.
    *   2. keyName {string}: The name of the key from the key map.
-   *   3. keyCode {Number}: The keyCode for the key pushed.
+   *   3. keyId {Number|string}: The identifier of the key pushed.
    *
    * List of params:
    *   - keyNames {Array.<string>} (optional) - The array of key name to listen
@@ -367,6 +924,26 @@ export default (opt = {}) => {
    *   - propagate {Boolean} (optional) - Whether the call should be propagated.
    *     If not set, the default value will be taken instead.
    *
+   *   - priority {Number} (optional) - Callbacks with a higher priority are
+   *     placed above the ones with a lower priority, whatever the order in
+   *     which they were registered. Between equal priorities, the last
+   *     registered is on top. A propagating callback only shares key events
+   *     with callbacks of the same priority. 0 by default.
+   *
+   *   - infos {Object} (optional) - Serialisable informations about the
+   *     callback (e.g. an id and a label), returned as is by the inspect and
+   *     whoHandles functions.
+   *
+   *   - layer {string|null} (optional) - Name of the modal layer the callback
+   *     belongs to, null for none. If not set, the modal layer currently on
+   *     top is taken.
+   *
+   *   - editable {string|Array.<string>} (optional) - What to do with the keys
+   *     pushed while an editable element is focused: 'always' (receive
+   *     them), 'ignore' (never receive them, without letting the callbacks
+   *     below receive them either) or the key names received. If not set,
+   *     the default value will be taken instead.
+   *
    *   - callback {Function} - The called callback once the corresponding key
    *     has been pushed. You can also set this callback as a second argument if
    *     you don't want to set any propagate value.
@@ -374,7 +951,10 @@ export default (opt = {}) => {
    *     following keys:
    *       - type {string} - 'keyup' or 'keydown'
    *       - keyName {string} - the name of the key
-   *       - keyCode {Number} - the keyCode of the key
+   *       - keyId {Number|string} - the identifier of the key
+   *       - keyCode {Number|null} - the keyCode of the key
+   *       - key {string|null} - the key value of the key
+   *       - code {string|null} - the code of the key
    *
    * @example
    * const kc = KeyCatcher();
@@ -406,7 +986,8 @@ export default (opt = {}) => {
   ret.register = (...args) => {
 
     const processArguments = (...args) => {
-      let keyNames, propagate, reEmit, callback;
+      let keyNames, propagate, reEmit, priority, layer, editable, infos,
+        callback;
 
       let argCounter = 0;
 
@@ -420,6 +1001,10 @@ export default (opt = {}) => {
       if (isSet(args[argCounter])) {
         propagate = args[argCounter].propagate;
         reEmit = args[argCounter].reEmit;
+        priority = args[argCounter].priority;
+        layer = args[argCounter].layer;
+        editable = args[argCounter].editable;
+        infos = args[argCounter].infos;
       }
 
       // Last argument: callback
@@ -430,6 +1015,10 @@ export default (opt = {}) => {
       return { keyNames,
                propagate,
                reEmit,
+               priority,
+               layer,
+               editable,
+               infos,
                callback };
     };
 
@@ -444,76 +1033,56 @@ export default (opt = {}) => {
         listener.on('keyup', onUpEvent);
       }
 
-      // If you add a new key listener, you might want to re-emit
-      // keys already pressed (reEmit option).
-      // /!\ The timeout defined here should be cleared while unregistering
-      // it.
-      // Another check is done here to see if the key was not released,
-      // relating to its keyCode
-      const reEmitTimeoutId = reEmitTimeoutIds[keyName];
-      if (reEmitTimeoutId) {
-        clearTimeout(reEmitTimeoutId);
-        keyCodesMaintained[keyName] = [];
-      }
-      if (reEmit >= 0) {
-        reEmitTimeouts.set(callback, reEmit);
-
-        // if some keys are pushed
-        if (KEYCODES_PUSHED.length) {
-          KEYCODES_PUSHED.forEach(keyCode => {
-            if (keyMap[keyCode] === keyName) {
-              if (!keyCodesMaintained[keyName]) {
-                keyCodesMaintained[keyName] = [];
-              }
-              keyCodesMaintained[keyName].push(keyCode);
-            }
-          });
-
-          const kcsm = keyCodesMaintained[keyName];
-
-          // if our wanted key is already pressed
-          if (kcsm && kcsm.length) {
-            reEmitTimeoutIds[keyName] = setTimeout(() => {
-              keyCodesMaintained[keyName].forEach(keyCode => {
-                onDownEvent(keyCode);
-              });
-              delete keyCodesMaintained[keyName];
-            }, reEmit);
-          }
-        }
+      const combination = parseCombination(keyName);
+      if (combination) {
+        addCombination(keyName, combination);
       }
 
+      const previousTop = getTopCatcher(keyName);
+
       const keyArr = layers[keyName];
 
       // if keyArr does not exist, it means that nobody has listened to this key
       // yet. Create the array of array with the callback inside.
       if (!keyArr) {
-        layers[keyName] = [[callback]];
-
-      } else if (propagate) {
-        const keyArrLen = keyArr.length;
+        layers[keyName] = [createLevel(callback, priority)];
+        updateReEmit(keyName, previousTop);
+        return;
+      }
 
-        // if keyArrLen is equal to 0, no one is listening yet. Push just the
-        // callback.
-        if (!keyArrLen) {
-          keyArr.push([callback]);
+      // levels are sorted by priority: the callback goes just above the last
+      // level with the same or a lower priority.
+      let index = keyArr.length;
+      while (index > 0 && levelPriorities.get(keyArr[index - 1]) > priority) {
+        index--;
+      }
+      const levelBelow = keyArr[index - 1];
 
-        } else {
-          // else, as we want to propagate, push the callback to the last array
-          // in keyArr.
-          keyArr[keyArrLen - 1].push(callback);
-        }
+      if (propagate && levelBelow &&
+          levelPriorities.get(levelBelow) === priority) {
+        // as we want to propagate, push the callback to the level below, if
+        // it has the same priority.
+        levelBelow.push(callback);
       } else {
-        // we do not want to propagate here, push an array with only the
-        // callback at the last level.
-        keyArr.push([callback]);
+        // we do not want to propagate here, insert an array with only the
+        // callback.
+        keyArr.splice(index, 0, createLevel(callback, priority));
       }
+
+      // If you add a new key listener, you might want to re-emit
+      // keys already pressed (reEmit option).
+      // Only done if the callback is now the first to receive its events.
+      updateReEmit(keyName, previousTop);
     };
 
     const {
-      keyNames = uniq(Object.values(keyMap)),
+      keyNames = getAllKeyNames(keyMaps),
       propagate = defaultPropagate,
       reEmit = defaultReemit,
+      priority = 0,
+      layer = getCurrentLayer(),
+      editable = defaultEditable,
+      infos,
       callback
     } = processArguments(...args);
 
@@ -522,6 +1091,11 @@ export default (opt = {}) => {
       return;
     }
 
+    reEmitTimeouts.set(callback, reEmit);
+    callbackLayers.set(callback, layer);
+    callbackEditables.set(callback, editable);
+    callbackInfos.set(callback, Object.assign({}, infos, { propagate }));
+
     for (const keyName of keyNames) {
       registerKeyListener(keyName);
     }
@@ -559,7 +1133,7 @@ export default (opt = {}) => {
         keyNames = args[0];
       } else {
         // take all the keys
-        keyNames = uniq(Object.values(keyMap));
+        keyNames = getAllKeyNames(keyMaps);
       }
 
       // Last argument: callback
@@ -582,65 +1156,15 @@ export default (opt = {}) => {
         return;
       }
 
+      const previousTop = getTopCatcher(keyName);
       const lastLayerLevel = layers[keyName].length - 1;
 
       for (let i = lastLayerLevel; i >= 0; i--) {
         const callbackArray = layers[keyName][i];
         const indexOf = callbackArray.indexOf(callback);
         if (indexOf >= 0) {
-
-          // TODO Re-facto that part, it hurts
-          // if we're speaking about the last of the last elements
-          // we should clear our reEmitTimeoutId for this key,
-          // and we may re-subscribe the precedent one if it wants
-          // reEmits
-          if (i === lastLayerLevel)  {
-            // if our callback is currently the last in its layer
-            // we should update reEmitting rules.
-            if (indexOf === callbackArray.length - 1) {
-              const reEmitTimeoutId = reEmitTimeoutIds[keyName];
-              if (reEmitTimeoutId) {
-                clearTimeout(reEmitTimeoutId);
-                reEmitTimeoutIds[keyName] = 0;
-              }
-
-              // if some keys are pushed
-              if (KEYCODES_PUSHED.length) {
-
-                // the next callback might want reEmitting
-                const nextCallback = callbackArray[callbackArray.length - 2];
-                if (nextCallback) {
-                  const reEmitTimeout = reEmitTimeouts.get(nextCallback);
-                  keyCodesMaintained[keyName] = [];
-
-                  if (reEmitTimeout >= 0) {
-                    KEYCODES_PUSHED.forEach(keyCode => {
-                      if (keyMap[keyCode] === keyName) {
-                        if (!keyCodesMaintained[keyName]) {
-                          keyCodesMaintained[keyName] = [];
-                        }
-                        keyCodesMaintained[keyName].push(keyCode);
-                      }
-                    });
-
-                    const kcsm = keyCodesMaintained[keyName];
-
-                    // if our wanted key is already pressed
-                    if (kcsm && kcsm.length) {
-                      reEmitTimeoutIds[keyName] = setTimeout(() => {
-                        keyCodesMaintained.forEach(keyCode => {
-                          onDownEvent(keyCode);
-                        });
-                      }, reEmitTimeout);
-                    }
-                  }
-                }
-              }
-            }
-          }
-
           // remove callback reference from this array
-          layers[keyName][i].splice(indexOf, 1);
+          callbackArray.splice(indexOf, 1);
 
           // if the callbacks array, for the current propagation level, is now
           // empty, delete it.
@@ -650,6 +1174,7 @@ export default (opt = {}) => {
             // if the key array is now empty, delete it.
             if (!layers[keyName].length) {
               delete layers[keyName];
+              removeCombination(keyName);
             }
 
             // if no more key events are listened to, remove event listener
@@ -659,6 +1184,10 @@ export default (opt = {}) => {
             }
           }
 
+          // if our callback was the first to receive the key events, the
+          // next one may want reEmits
+          updateReEmit(keyName, previousTop);
+
           // we already found the callback here, there is no way that it is
           // somewhere else for this keyName.
           return;
@@ -678,6 +1207,207 @@ export default (opt = {}) => {
     }
   };
 
+  /**
+   * Push a named modal layer on top of the others.
+   * Until it is popped, only the callbacks registered in it receive key
+   * events, except for the keys it lets pass through.
+   * Pushing a layer already pushed moves it on top.
+   *
+   * The callbacks of the layers below are not unregistered: they are
+   * restored together once the layer is popped (with their reEmit rules).
+   *
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {Array.<string>} [options.passthrough] - Key names which can
+   * still reach the layers below.
+   *
+   * @example
+   * const kc = KeyCatcher();
+   * kc.register(['Up', 'Down', 'VolumeUp'], onMenuKey);
+   *
+   * kc.pushLayer('dialog', { passthrough: ['VolumeUp'] });
+   *
+   * // onMenuKey does not receive 'Up' and 'Down' anymore, but still
+   * // receives 'VolumeUp'
+   * kc.register(['Up', 'Down', 'Enter'], onDialogKey);
+   *
+   * // onMenuKey receives every key again
+   * kc.popLayer('dialog');
+   */
+  ret.pushLayer = (name, { passthrough = [] } = {}) => {
+    const previousTops = getTopCatchers();
+    removeModalLayer(name);
+    modalLayers.push({ name, passthrough });
+    updateReEmits(previousTops);
+  };
+
+  /**
+   * Pop a modal layer, restoring the callbacks of the layer below it.
+   * Its callbacks are not unregistered: they come back if a layer with the
+   * same name is pushed again.
+   * @param {string} [name] - Name of the layer. If not set, the top one is
+   * popped.
+   */
+  ret.popLayer = (name) => {
+    const previousTops = getTopCatchers();
+    if (isSet(name)) {
+      removeModalLayer(name);
+    } else {
+      modalLayers.pop();
+    }
+    updateReEmits(previousTops);
+  };
+
+  /**
+   * Pause a callback: it keeps its place in the layers but is skipped when
+   * key events are received, the next active callbacks receiving them as if
+   * it was unregistered (reEmit rules included).
+   * Without a callback, every callback is paused.
+   * @param {Function} [callback]
+   *
+   * @example
+   * const kc = KeyCatcher();
+   * kc.register(['Enter'], onPlayerKey);
+   * kc.register(['Enter'], onOverlayKey);
+   *
+   * // onPlayerKey receives 'Enter' until onOverlayKey is resumed
+   * kc.pause(onOverlayKey);
+   * kc.resume(onOverlayKey);
+   */
+  ret.pause = (callback) => {
+    const previousTops = getTopCatchers();
+    if (callback) {
+      pausedCallbacks.add(callback);
+    } else {
+      isPaused = true;
+    }
+    updateReEmits(previousTops);
+  };
+
+  /**
+   * Resume a callback paused through the pause function, at the exact place
+   * it had in the layers.
+   * Without a callback, resume every callback after a global pause (the
+   * callbacks paused one by one stay paused).
+   * @param {Function} [callback]
+   */
+  ret.resume = (callback) => {
+    const previousTops = getTopCatchers();
+    if (callback) {
+      pausedCallbacks.delete(callback);
+    } else {
+      isPaused = false;
+    }
+    updateReEmits(previousTops);
+  };
+
+  /**
+   * Returns a serialisable description of every callback registered, to know
+   * which one receives which key.
+   *
+   * For each key listened to, the levels of the layers object are listed from
+   * the top one to the bottom one, and their callbacks in the order they
+   * receive key events. Each callback is described by:
+   *   - the informations given through its `infos` option.
+   *   - propagate {Boolean}, reEmit {Number}, layer {string|null} and
+   *     paused {Boolean}: its options and state.
+   *   - shadowed {Boolean}: true if it does not receive the key right now.
+   *   - shadowedBy {string|null}: why it is shadowed ('paused', 'layer' or
+   *     'propagation'), null if it is not.
+   * @returns {Object}
+   *
+   * @example
+   * const kc = KeyCatcher();
+   * kc.register(['Enter'], { infos: { label: 'menu' } }, onMenuKey);
+   * kc.register(['Enter'], { infos: { label: 'player' } }, onPlayerKey);
+   *
+   * kc.inspect();
+   * // {
+   * //   paused: false,
+   * //   modalLayers: [],
+   * //   keys: {
+   * //     Enter: [
+   * //       { priority: 0,
+   * //         bindings: [ { label: 'player', propagate: false, reEmit: 500,
+   * //                       layer: null, paused: false, shadowed: false,
+   * //                       shadowedBy: null } ] },
+   * //       { priority: 0,
+   * //         bindings: [ { label: 'menu', propagate: false, reEmit: 500,
+   * //                       layer: null, paused: false, shadowed: true,
+   * //                       shadowedBy: 'propagation' } ] }
+   * //     ]
+   * //   }
+   * // }
+   */
+  ret.inspect = () => ({
+    paused: isPaused,
+    modalLayers: modalLayers.map(({ name, passthrough }) =>
+      ({ name, passthrough: passthrough.slice() })),
+    keys: Object.keys(layers).reduce((acc, keyName) => {
+      const activeCatchers = getActiveCatchers(keyName);
+      acc[keyName] = layers[keyName].slice().reverse().map(level => ({
+        priority: levelPriorities.get(level),
+        bindings: level.slice().reverse().map(callback =>
+          describeCallback(keyName, callback, activeCatchers))
+      }));
+      return acc;
+    }, {})
+  });
+
+  /**
+   * Returns the description (see the inspect function) of every callback
+   * which would receive the given key if it was pushed now, in the order they
+   * would be called.
+   * @param {string} keyName
+   * @returns {Array.<Object>}
+   */
+  ret.whoHandles = (keyName) => {
+    const activeCatchers = getActiveCatchers(keyName);
+    return activeCatchers.slice().reverse().map(callback =>
+      describeCallback(keyName, callback, activeCatchers));
+  };
+
+  /**
+   * Add a middleware, called with every key event before it is dispatched.
+   *
+   * The middleware is called with two arguments:
+   *   1. the key event: { type, keyName, keyId, keyCode, key, code }, type
+   *      being 'keydown' or 'keyup'.
+   *   2. a `next` function, to call (at most once) so the event continues
+   *      its way: either without argument, or with a new key event (e.g. to
+   *      change its keyName). It can be called later to delay the event, or
+   *      not at all to drop it.
+   *
+   * A keyup is dispatched with the keyName and informations its keydown was
+   * dispatched with (after that keydown if it is still delayed): middlewares
+   * can only delay or drop it.
+   *
+   * Middlewares are called in the order they were added.
+   * @param {Function} middleware
+   * @returns {Function} - Remove the middleware.
+   *
+   * @example
+   * const kc = KeyCatcher();
+   *
+   * // 'ChannelUp' is received as 'PageUp' by the callbacks
+   * const remove = kc.use((keyEvt, next) => {
+   *   if (keyEvt.keyName === 'ChannelUp') {
+   *     next(Object.assign({}, keyEvt, { keyName: 'PageUp' }));
+   *   } else {
+   *     next();
+   *   }
+   * });
+   */
+  ret.use = (middleware) => {
+    middlewares.push(middleware);
+    return () => {
+      const indexOf = middlewares.indexOf(middleware);
+      if (indexOf >= 0) {
+        middlewares.splice(indexOf, 1);
+      }
+    };
+  };
+
   ret.close = () => listener.close();
 
   return ret;
@@ -0,0 +1,130 @@
+/**
+ * This file defines helpers to link keyboard events to key names.
+ *
+ * Three maps can be used to do so, by order of priority:
+ *
+ *   - the codeMap, linking the `code` property of keyboard events (the
+ *     physical key) to key names.
+ *
+ *   - the keyValueMap, linking the `key` property of keyboard events (the
+ *     logical value of the key) to key names.
+ *
+ *   - the keyMap, linking the deprecated `keyCode` property of keyboard events
+ *     to key names. Used as a fallback for older devices.
+ */
+
+import isSet from './misc/isSet.js';
+import uniq from './misc/uniq.js';
+import defaultConfig from './config.js';
+import { getPreset } from './presets.js';
+
+/**
+ * Retrieve the three key maps from the options given to a keyboard.
+ *
+ * If a preset is set, its maps are used, each of them being overridable by
+ * the corresponding option.
+ *
+ * Else, if none of them is set, the default ones are used. If at least one of
+ * them is set, the others are considered empty: that way a custom keyMap is
+ * not shadowed by the default codeMap and keyValueMap.
+ * @param {Object} opt
+ * @param {Object} [opt.keyMap]
+ * @param {Object} [opt.codeMap]
+ * @param {Object} [opt.keyValueMap]
+ * @param {string|Object} [opt.preset] - See presets.js
+ * @returns {Object}
+ */
+const getKeyMaps = ({ keyMap, codeMap, keyValueMap, preset }) => {
+  const presetMaps = getPreset(preset);
+  if (presetMaps) {
+    return { keyMap: keyMap || presetMaps.keyMap || {},
+             codeMap: codeMap || presetMaps.codeMap || {},
+             keyValueMap: keyValueMap || presetMaps.keyValueMap || {} };
+  }
+
+  if (!isSet(keyMap) && !isSet(codeMap) && !isSet(keyValueMap)) {
+    return { keyMap: defaultConfig.KEY_MAP,
+             codeMap: defaultConfig.CODE_MAP,
+             keyValueMap: defaultConfig.KEY_VALUE_MAP };
+  }
+  return { keyMap: keyMap || {},
+           codeMap: codeMap || {},
+           keyValueMap: keyValueMap || {} };
+};
+
+/**
+ * Create a function returning the key name corresponding to the given key
+ * informations (as returned by the events.js file).
+ * That function returns undefined if the key is not in any of the maps.
+ *
+ * Inputs which are not keyboards (e.g. gamepads) may directly give the key
+ * name in the key informations. It is then used as is.
+ * @param {Object} keyMaps - As returned by getKeyMaps.
+ * @returns {Function}
+ */
+const createKeyNameGetter = ({ keyMap, codeMap, keyValueMap }) =>
+  ({ keyCode, key, code, keyName }) => {
+    if (isSet(keyName)) {
+      return keyName;
+    }
+    if (isSet(code) && isSet(codeMap[code])) {
+      return codeMap[code];
+    }
+    if (isSet(key) && isSet(keyValueMap[key])) {
+      return keyValueMap[key];
+    }
+    if (isSet(keyCode)) {
+      return keyMap[keyCode];
+    }
+  };
+
+/**
+ * Returns every key name declared in the given maps.
+ * @param {Object} keyMaps - As returned by getKeyMaps.
+ * @returns {Array.<string>}
+ */
+const getAllKeyNames = ({ keyMap, codeMap, keyValueMap }) =>
+  uniq(Object.values(codeMap)
+    .concat(Object.values(keyValueMap))
+    .concat(Object.values(keyMap)));
+
+/**
+ * Returns the key of the given map whose value is the given key name.
+ * @param {Object} map
+ * @param {string} keyName
+ * @returns {string|undefined}
+ */
+const findInMap = (map, keyName) =>
+  Object.keys(map).find(mapKey => map[mapKey] === keyName);
+
+/**
+ * Construct the key informations (keyCode, key and code) of a key from its
+ * key name.
+ * Counterpart of the function returned by createKeyNameGetter: those
+ * informations lead back to the same key name.
+ *
+ * If the key name is in none of the maps, the key name is directly set in the
+ * key informations.
+ * @param {Object} keyMaps - As returned by getKeyMaps.
+ * @param {string} keyName
+ * @returns {Object}
+ */
+const getKeyInfosFromName = ({ keyMap, codeMap, keyValueMap }, keyName) => {
+  const keyCode = findInMap(keyMap, keyName);
+  const key = findInMap(keyValueMap, keyName);
+  const code = findInMap(codeMap, keyName);
+
+  if (!isSet(keyCode) && !isSet(key) && !isSet(code)) {
+    return { keyCode: null, key: keyName, code: null, keyName };
+  }
+  return { keyCode: isSet(keyCode) ? Number(keyCode) : null,
+           key: isSet(key) ? key : null,
+           code: isSet(code) ? code : null };
+};
+
+export {
+  createKeyNameGetter,
+  getAllKeyNames,
+  getKeyInfosFromName,
+  getKeyMaps
+};
@@ -3,19 +3,32 @@
 // -> REEMIT. TEST IT
 // SHOULD COMBINE DO A RELEASE? What about propagation?
 // -> No for the moment
-// COMBINATION OF KEYS: Ctrl+Up Ctrl>Up
 // TIMEPRESS when REEMIT?
 import isSet from './misc/isSet.js';
+import isAllowedOnEditable from './misc/isAllowedOnEditable.js';
 import uniq from './misc/uniq.js';
+import runMiddlewares from './misc/runMiddlewares.js';
 
-import listen, { KEYCODES_PUSHED } from './events.js';
+import listen, { getSource } from './events.js';
 import KeyCatcher from './key_catcher.js';
 import defaultConfig from './config.js';
+import { isCombination,
+         parseCombination,
+         toCombinationName } from './combinations.js';
+import { createKeyNameGetter,
+         getAllKeyNames,
+         getKeyInfosFromName,
+         getKeyMaps } from './key_maps.js';
+import { getPreset } from './presets.js';
+import getScheduler from './scheduler.js';
 
 const { DEFAULT_COMBINE_VALUE,
         DEFAULT_PROPAGATE_VALUE,
-        DEFAULT_REEMIT_TIMEOUT,
-        DEFAULT_PREVENT_DEFAULT } = config;
+        DEFAULT_REEMIT_VALUE,
+        DEFAULT_SEQUENCE_TIMEOUT,
+        DEFAULT_TAP_WINDOW,
+        DEFAULT_EDITABLE_POLICY,
+        DEFAULT_PREVENT_DEFAULT } = defaultConfig;
 
 /**
  * Defines three types of events:
@@ -27,10 +40,31 @@ const { DEFAULT_COMBINE_VALUE,
  *   - __press__: The key is pressed (between a 'push' and a 'release').
  *       This event is sent at intervals depending on params you gave to
  *       this listener.
+ *
+ *   - __multitap__: The key has been quickly pushed and released the number of
+ *       times wanted by the listener (`taps` option).
+ *
+ *   - __shortpress__: The key has been released before any 'press' event was
+ *       sent. Only sent when the `shortPress` option is set, in which case it
+ *       replaces the 'push' event.
+ *
+ * As well as three events only sent for key sequences:
+ *
+ *   - __progress__: A key of the sequence has been pushed in the right order.
+ *
+ *   - __reset__: The sequence was started but a wrong key has been pushed or
+ *       the next key took too much time to come. It has to be started again.
+ *
+ *   - __sequence__: The whole sequence has been pushed.
  */
 const EVENT_NAMES = { KEY_DOWN: 'push',
                       KEY_UP: 'release',
-                      KEY_PRESS: 'press' };
+                      KEY_PRESS: 'press',
+                      MULTI_TAP: 'multitap',
+                      SHORT_PRESS: 'shortpress',
+                      SEQUENCE_PROGRESS: 'progress',
+                      SEQUENCE_RESET: 'reset',
+                      SEQUENCE_END: 'sequence' };
 
 /**
  * Keyboard factory.
@@ -57,6 +91,17 @@ const EVENT_NAMES = { KEY_DOWN: 'push',
  *    // Time the key has been pushed in ms (0 for 'push' event)
  *    console.log(e.timepress);
  *
+ *    // Number of quick successive pushes of that key (1 for a single push)
+ *    console.log(e.tap);
+ *
+ *    // Number of 'press' events sent since the push, and for those events,
+ *    // their number per second (0 for other events)
+ *    console.log(e.step, e.velocity);
+ *
+ *    // keyCode, key and code properties of the corresponding keyboard event
+ *    // (null if unknown)
+ *    console.log(e.keyCode, e.key, e.code);
+ *
  *    // ...
  * });
  *
@@ -65,6 +110,55 @@ const EVENT_NAMES = { KEY_DOWN: 'push',
  *   // ...
  * });
  *
+ * // Listening to key combinations: the keyName will be 'Ctrl+Up' or
+ * // 'Shift+Enter' ('Up' and 'Enter' will not receive those events)
+ * const combinations = keyboard(['Ctrl+Up', ['Shift', 'Enter']], () => {
+ *   // ...
+ * });
+ *
+ * // Listening to an ordered combination: only when 'Up' is pushed while
+ * // 'Ctrl' is held, not when 'Ctrl' is pushed while 'Up' is held
+ * const chord = keyboard('Ctrl>Up', () => {
+ *   // ...
+ * });
+ *
+ * // Either a short press or a long press on 'Enter', never both: the 'push'
+ * // event is replaced by a 'shortpress' event sent on release, only if no
+ * // 'press' event was sent before.
+ * const okKey = keyboard('Enter', {
+ *     shortPress: true,
+ *     press: { after: 800 }
+ *   },
+ *   (e) => {
+ *     // either 'shortpress', 'press' or 'release'
+ *     console.log(e.event);
+ *   });
+ *
+ * // Listening to a double tap on 'Enter'. A push immediately followed by
+ * // another is not reported as two pushes but as a single 'multitap' event.
+ * const doubleEnter = keyboard('Enter', { taps: 2, tapWindow: 300 }, (e) => {
+ *   // either 'push', 'release', 'press' or 'multitap'
+ *   console.log(e.event);
+ *
+ *   // number of quick successive pushes of the key (2 for 'multitap' events)
+ *   console.log(e.tap);
+ * });
+ *
+ * // Listening to a sequence of keys pushed one after the other. No more than
+ * // `sequenceTimeout` ms should happen between two keys of the sequence.
+ * const konami = keyboard({
+ *     sequence: ['Up', 'Up', 'Down', 'Down', 'Left', 'Right', 'Left', 'Right',
+ *                'b', 'a'],
+ *     sequenceTimeout: 1000
+ *   },
+ *   (e) => {
+ *     // either 'progress', 'reset' or 'sequence'
+ *     console.log(e.event);
+ *
+ *     // number of keys of the sequence correctly pushed
+ *     console.log(e.sequenceStep);
+ *   });
+ *
  * // Doing the same for all keys (we simply ignore the first argument)
  * const allKeys = keyboard((e) => {
  *   // ...
@@ -84,6 +178,27 @@ const EVENT_NAMES = { KEY_DOWN: 'push',
  *     // ...
  *   });
  *
+ * // press events coming faster and faster while 'Down' is held: every 400ms
+ * // at first, then 20% sooner each time, but never under 50ms
+ * const scrolling = keyboard('Down', {
+ *     press: { start: 400, min: 50, factor: 0.8 }
+ *   },
+ *   (e) => {
+ *     // scroll more as the key is held for long
+ *     scrollDown(e.velocity > 10 ? 3 : 1);
+ *   });
+ *
+ * // the same through a function giving the interval until the next press
+ * // event, from the number of press events sent and the time held
+ * const custom = keyboard('Up', {
+ *     press: {
+ *       after: 500,
+ *       interval: (step, timepress) => timepress > 3000 ? 50 : 200
+ *     }
+ *   },
+ *   () => {
+ *   });
+ *
  * // what if we want press rules for ALL keys?
  * // We again ignore the first argument.
  * const allKeysWithPress = keyboard({
@@ -102,12 +217,99 @@ const EVENT_NAMES = { KEY_DOWN: 'push',
  *
  * // executing it free the event listener
  * myKey();
+ *
+ * // -- suspend listens without losing their place --
+ *
+ * // the listens done before receive 'Enter' as if shortcuts was stopped...
+ * const shortcuts = keyboard('Enter', () => {
+ *   // ...
+ * });
+ * shortcuts.pause();
+ *
+ * // ...until it is resumed, at the same place than before
+ * shortcuts.resume();
+ *
+ * // every listen can also be paused at once
+ * keyboard.pause();
+ * keyboard.resume();
+ *
+ * // -- middlewares --
+ *
+ * // 'ChannelUp' is received as 'PageUp' by every listen, and no key is
+ * // received during page transitions
+ * const removeMiddleware = keyboard.use((keyEvt, next) => {
+ *   if (isInTransition()) {
+ *     return; // dropped
+ *   }
+ *   next(keyEvt.keyName === 'ChannelUp' ?
+ *     Object.assign({}, keyEvt, { keyName: 'PageUp' }) : keyEvt);
+ * });
+ *
+ * // middlewares can also be called with the events sent to the callbacks
+ * keyboard.use({
+ *   event: (evt, next) => {
+ *     if (evt.event !== 'press' || evt.pressInterval < 10) {
+ *       next();
+ *     }
+ *   }
+ * });
+ *
+ * // -- debugging --
+ *
+ * // listens can be given a label to recognize them
+ * const menuEnter = keyboard('Enter', { label: 'menu' }, () => {});
+ *
+ * // every listen per key, in the order they receive it, with their id, label,
+ * // options and whether they are shadowed (and why)
+ * console.log(keyboard.inspect());
+ *
+ * // only the listens which would receive 'Enter' now
+ * console.log(keyboard.whoHandles('Enter'));
+ *
+ * // -- push keys without a real keyboard --
+ *
+ * // injected keys follow the same path than real ones (layers, press
+ * // events, reEmit...)
+ * keyboard.simulate('Up', 'push');
+ * keyboard.simulate('Up', 'release');
+ *
+ * // push 'Enter' and release it 800ms later
+ * keyboard.tap('Enter', { hold: 800 }, () => {
+ *   // 'Enter' has been released
+ * });
+ *
+ * // -- modal layers --
+ *
+ * // every listen done from now on belongs to the 'dialog' layer. Only
+ * // those receive key events until it is popped, except for the volume
+ * // keys which can still reach the listens below.
+ * keyboard.pushLayer('dialog', { passthrough: ['VolumeUp', 'VolumeDown'] });
+ * const dialogKeys = keyboard(['Enter', 'Back'], () => {
+ *   // ...
+ * });
+ *
+ * // the listens done before pushing the layer receive key events again
+ * keyboard.popLayer('dialog');
+ *
+ * // -- text fields --
+ *
+ * // letters typed in an input, a textarea, a select or a contentEditable
+ * // element are not received, but 'Enter' and 'Back' still are
+ * const search = keyboard(['Letters', 'Enter', 'Back'], {
+ *   editable: ['Enter', 'Back']
+ * }, (e) => {
+ *   // ...
+ * });
  * ```
  *
  * @returns {Function} Key handling function.
  * This function only rules are:
  *   - it can take 3 arguments which can only be written in this order:
- *      1. the key(s) as a string or as an array of strings
+ *      1. the key(s) as a string or as an array of strings. A combination of
+ *         keys can be written either as a single string separated by '+'
+ *         characters or as an array of strings inside the keys array.
+ *         An ordered combination is written as a single string separated by
+ *         '>' characters.
  *      2. the options, as an object
  *      3. the callback, as a function
  *    - All of them can be ignored, undefined or null with the following
@@ -118,9 +320,16 @@ const EVENT_NAMES = { KEY_DOWN: 'push',
  */
 export default (opt = {}) => {
 
-  const keyMap = opt.keyMap || defaultConfig.KEY_MAP;
+  // resolved only once, as it might have to be detected
+  const preset = getPreset(opt.preset);
+
+  const keyMaps = getKeyMaps(Object.assign({}, opt, { preset }));
 
-  const groupings = opt.groupings || defaultConfig.GROUPINGS;
+  const getKeyName = createKeyNameGetter(keyMaps);
+
+  const groupings = opt.groupings ||
+                    (preset && preset.groupings) ||
+                    defaultConfig.GROUPINGS;
 
   const defaultCombine = isSet(opt.combine) ? opt.combine :
                                               DEFAULT_COMBINE_VALUE;
@@ -129,16 +338,97 @@ export default (opt = {}) => {
                                                   DEFAULT_PROPAGATE_VALUE;
 
   const defaultReemit = isSet(opt.reEmit) ? opt.reEmit :
-                                            DEFAULT_REEMIT_TIMEOUT;
+                                            DEFAULT_REEMIT_VALUE;
 
   const preventDefault = isSet(opt.preventDefault) ? opt.preventDefault :
                                                      DEFAULT_PREVENT_DEFAULT;
 
+  const defaultEditable = _getEditablePolicy(groupings,
+    isSet(opt.editable) ? opt.editable : DEFAULT_EDITABLE_POLICY);
+
+  // every timer and time measurement go through it
+  const scheduler = getScheduler(opt.scheduler);
+
+  // resolved only once, so the KeyCatcher and this keyboard share it
+  const source = getSource(opt);
+
+  // records each step of the key events' path, if set (see tracer.js)
+  const tracer = opt.tracer;
+
+  /**
+   * Record the given step on the tracer, if one.
+   * @param {string} step
+   * @param {Function} getData - Returns the data of the step.
+   */
+  const trace = (step, getData) => {
+    if (tracer) {
+      tracer.trace(step, getData);
+    }
+  };
+
+  /**
+   * Functions every event goes through before being sent to the listens'
+   * callbacks, in the order they were added (see the use method).
+   * @type Array.<Function>
+   */
+  const eventMiddlewares = [];
+
+  /**
+   * Listens currently done (not stopped), by identifier, with the function
+   * stopping them. And the identifiers of the ones paused on their own among
+   * them.
+   * @type Map.<Number, Function>
+   */
+  const activeBindings = new Map();
+  const pausedBindings = new Set();
+
+  // true while every listen is paused (see the pause method)
+  let isPaused = false;
+
+  /**
+   * Returns true if the listen of the given identifier is neither stopped
+   * nor paused.
+   * @param {Number} id
+   * @returns {Boolean}
+   */
+  const isBindingActive = (id) =>
+    !isPaused && activeBindings.has(id) && !pausedBindings.has(id);
+
+  /**
+   * Returns the given listen callback, with every event sent through it
+   * going through the event middlewares first (and recorded by the tracer).
+   * @param {Number} id - Identifier of the listen.
+   * @param {string} [label]
+   * @param {Function} callback
+   * @returns {Function}
+   */
+  const wrapListenCallback = (id, label, callback) => function(evt) {
+    runMiddlewares(eventMiddlewares, evt, (finalEvt) => {
+      // a middleware might let the event through later, once the listen is
+      // stopped or paused
+      if (!isBindingActive(id)) {
+        return;
+      }
+      trace('keyboard:event', () => ({ bindingId: id,
+                                      label,
+                                      event: finalEvt.event,
+                                      keyName: finalEvt.keyName,
+                                      timepress: finalEvt.timepress }));
+      callback.call(this, finalEvt);
+    });
+  };
+
   // Create new propagation layer from the KeyCatcher
-  const kc = KeyCatcher({ keyMap,
+  const kc = KeyCatcher({ keyMap: keyMaps.keyMap,
+                          codeMap: keyMaps.codeMap,
+                          keyValueMap: keyMaps.keyValueMap,
                           propagate: defaultPropagate,
                           reEmit: defaultReemit,
-                          preventDefault });
+                          preventDefault,
+                          editable: defaultEditable,
+                          source,
+                          scheduler,
+                          tracer });
 
   /**
    * Object where:
@@ -153,112 +443,520 @@ export default (opt = {}) => {
    */
   const activePresses = {};
 
-  // We might need to listen events in our keyMap directly for
+  /**
+   * Clear current timeouts and/or interval for a specific key object.
+   * @param {Object} keyObj
+   * @param {Number|null} keyObj.timeouts
+   * @param {Number|null} keyObj.interval
+   */
+  const clearKeyTimeouts = (keyObj) => {
+    if (keyObj.timeouts.length || keyObj.interval) {
+      trace('keyboard:timer', () => ({ action: 'clear',
+                                      bindingId: keyObj.bindingId,
+                                      keyName: keyObj.keyName }));
+    }
+
+    // 1 - clear timeouts
+    keyObj.timeouts.forEach(t => scheduler.clearTimeout(t));
+    keyObj.timeouts = [];
+
+    // 2 - clear intervals
+    if (keyObj.interval) {
+      scheduler.clearInterval(keyObj.interval);
+      keyObj.interval = 0;
+    }
+
+    // 3 - remove from activePresses object
+    if (activePresses[keyObj.keyName]) {
+      const keyActivePresses = activePresses[keyObj.keyName];
+      const indexOf = keyActivePresses.indexOf(keyObj);
+      activePresses[keyObj.keyName].splice(indexOf, 1);
+      if (!keyActivePresses.length) {
+        delete activePresses[keyObj.keyName];
+      }
+    }
+  };
+
+  /**
+   * Functions resetting the state of every listen currently done (keys
+   * considered as pushed, pending press events, sequence progress...).
+   * Key events are missed while paused, that state would be wrong afterwards.
+   * @type Array.<Function>
+   */
+  const listenResets = [];
+
+  /**
+   * Functions making listens forget the keys held they do not receive
+   * anymore (see forgetShadowedKeys).
+   * @type Array.<Function>
+   */
+  const shadowedKeysForgetters = [];
+
+  /**
+   * Make every listen forget the keys held it does not receive anymore, once
+   * other listens were paused, resumed or placed above it: their keyup would
+   * never reach it, and the key would be considered as still pushed on its
+   * next push.
+   */
+  const forgetShadowedKeys = () => {
+    shadowedKeysForgetters.forEach(forget => forget());
+  };
+
+  // identifier of the last listen done, incremented for each new one
+  let lastBindingId = 0;
+
+  /**
+   * Returns the function stopping a listen, with methods to pause and
+   * resume it and its identifier (as found in the inspect method's result).
+   * @param {Number} id
+   * @param {Function} onEvent - Callback registered in the KeyCatcher.
+   * @param {Function} reset - Reset the state of the listen.
+   * @param {Function} stop - Stop the listen.
+   * @param {Function} [forgetShadowed] - Forget the keys held the listen
+   * does not receive anymore.
+   * @returns {Function}
+   */
+  const createBinding = (id, onEvent, reset, stop, forgetShadowed) => {
+    const unbind = () => {
+      const indexOf = listenResets.indexOf(reset);
+      if (indexOf >= 0) {
+        listenResets.splice(indexOf, 1);
+      }
+      const forgetterIndex = shadowedKeysForgetters.indexOf(forgetShadowed);
+      if (forgetterIndex >= 0) {
+        shadowedKeysForgetters.splice(forgetterIndex, 1);
+      }
+      activeBindings.delete(id);
+      pausedBindings.delete(id);
+      stop();
+    };
+
+    /**
+     * Stop receiving key events without losing its place: the listens below
+     * receive them as if this one was stopped.
+     */
+    unbind.pause = () => {
+      if (activeBindings.has(id)) {
+        pausedBindings.add(id);
+      }
+      kc.pause(onEvent);
+      reset();
+      forgetShadowedKeys();
+    };
+
+    /**
+     * Receive key events again, at the same place than before the pause.
+     */
+    unbind.resume = () => {
+      pausedBindings.delete(id);
+      kc.resume(onEvent);
+      forgetShadowedKeys();
+    };
+
+    unbind.id = id;
+
+    listenResets.push(reset);
+    if (forgetShadowed) {
+      shadowedKeysForgetters.push(forgetShadowed);
+    }
+    activeBindings.set(id, unbind);
+    return unbind;
+  };
+
+  // We might need to listen events in our key maps directly for
   // 'Combine' rules
-  const listener = listen(Object.keys(keyMap).map(x => +x));
+  const listener = listen(getKeyName, { source, tracer });
+
+  /**
+   * Listen to a sequence of keys pushed one after the other.
+   *
+   * A 'progress' event is sent each time the next key of the sequence is
+   * pushed, a 'sequence' event once the last one is and a 'reset' event if
+   * the sequence was started but a wrong key was pushed or the next key took
+   * too much time to come.
+   * @param {Number} id - Identifier of the listen.
+   * @param {Array.<string>} sequence - Key names, in order.
+   * @param {Object} options - options as returned by _processOptions.
+   * @param {Function} callbackNext
+   * @returns {Function} - Stop listening to the sequence.
+   */
+  const listenSequence = (id, sequence, options, callbackNext) => {
+    const {
+      sequenceTimeout = DEFAULT_SEQUENCE_TIMEOUT,
+      propagate: shouldPropagate = defaultPropagate,
+      editable = defaultEditable,
+      priority,
+      layer,
+      label
+    } = options;
+
+    const keys = uniq(sequence);
+
+    // every key name pushed while doing the sequence. Keys being part of a
+    // combination should not reset the sequence on their own.
+    const sequenceKeyNames = keys.reduce((kns, keyName) =>
+      kns.concat(parseCombination(keyName) || keyName), []);
+
+    // number of keys of the sequence correctly pushed
+    let sequenceStep = 0;
+
+    // setTimeout's ID for the timeout between two keys of the sequence
+    let timeoutId = null;
+
+    // context used when the event does not come from the KeyCatcher
+    const noopCtx = { stopPropagation: () => {} };
+
+    /**
+     * @param {Object} ctx
+     * @param {string} event
+     * @param {Object} keyEvt - keyName, keyCode, key and code of the key
+     * responsible for that event.
+     */
+    const sendSequenceEvent = (ctx, event, { keyName, keyCode, key, code }) => {
+      callbackNext.call(ctx, { keyName,
+                               keyCode,
+                               key,
+                               code,
+                               event,
+                               sequence,
+                               sequenceStep,
+                               pressInterval: 0,
+                               timepress: 0 });
+    };
+
+    // key properties sent when the reset is due to the timeout
+    const noKeyEvt = { keyName: null, keyCode: null, key: null, code: null };
+
+    /**
+     * Reset the sequence, sending a 'reset' event if it was started.
+     * @param {Object} ctx
+     * @param {Object} keyEvt - The key responsible for the reset.
+     */
+    const resetSequence = (ctx, keyEvt) => {
+      scheduler.clearTimeout(timeoutId);
+      timeoutId = null;
+      if (sequenceStep > 0) {
+        sequenceStep = 0;
+        sendSequenceEvent(ctx, EVENT_NAMES.SEQUENCE_RESET, keyEvt);
+      }
+    };
+
+    const onEvent = function (evt) {
+      const { type, keyName } = evt;
+      if (type !== 'keydown') {
+        return;
+      }
+
+      const cbCtx = { stopPropagation: this.stopPropagation };
+
+      if (keyName !== sequence[sequenceStep]) {
+        const fallbackStep = _getSequenceFallback(sequence,
+                                                  sequenceStep,
+                                                  keyName);
+        resetSequence(cbCtx, evt);
+
+        // the wrong key, with the ones pushed just before it, might be the
+        // beginning of a new sequence
+        if (!fallbackStep) {
+          return;
+        }
+        sequenceStep = fallbackStep - 1;
+      }
+
+      scheduler.clearTimeout(timeoutId);
+      timeoutId = null;
+      sequenceStep++;
+
+      if (sequenceStep === sequence.length) {
+        sendSequenceEvent(cbCtx, EVENT_NAMES.SEQUENCE_END, evt);
+        sequenceStep = 0;
+        return;
+      }
+
+      sendSequenceEvent(cbCtx, EVENT_NAMES.SEQUENCE_PROGRESS, evt);
+      timeoutId = scheduler.setTimeout(() => {
+        resetSequence(noopCtx, noKeyEvt);
+      }, sequenceTimeout);
+    };
+
+    // keys which are not part of the sequence are never received by the
+    // KeyCatcher callback, catch them here to reset the sequence.
+    const onAnyKeyDown = (keyId, keyInfos) => {
+      const keyName = getKeyName(keyInfos);
+      if (!sequenceKeyNames.includes(keyName) &&
+          isAllowedOnEditable(editable, keyName, keyInfos)) {
+        resetSequence(noopCtx, { keyName, ...keyInfos });
+      }
+    };
+    listener.on('keydown', onAnyKeyDown);
+
+    // keys held before the sequence was listened to should not count
+    kc.register(keys, { propagate: shouldPropagate,
+                        reEmit: -1,
+                        priority,
+                        layer,
+                        editable,
+                        infos: { id, label, keys, sequence } }, onEvent);
+
+    // forget the progress made, without sending any event
+    const reset = () => {
+      scheduler.clearTimeout(timeoutId);
+      timeoutId = null;
+      sequenceStep = 0;
+    };
+
+    return createBinding(id, onEvent, reset, () => {
+      reset();
+      listener.off('keydown', onAnyKeyDown);
+      kc.unregister(keys, onEvent);
+    });
+  };
+
+  /**
+   * Push or release a key as if it came from the input source.
+   *
+   * The key goes through exactly the same path than the real one: every
+   * keyboard using the same source receives it.
+   * For a combination, each of its keys is pushed in order (and released in
+   * the reverse order).
+   * @param {string} keyName
+   * @param {string} action - Either 'push' or 'release'.
+   */
+  const simulate = (keyName, action) => {
+    const keyNames = parseCombination(keyName) || [keyName];
+    switch (action) {
+      case EVENT_NAMES.KEY_DOWN:
+        keyNames.forEach(kn =>
+          listener.push(getKeyInfosFromName(keyMaps, kn)));
+        break;
+      case EVENT_NAMES.KEY_UP:
+        keyNames.slice().reverse().forEach(kn =>
+          listener.release(getKeyInfosFromName(keyMaps, kn)));
+        break;
+      default:
+        throw new Error(`RKeyboard: unknown action "${action}"`);
+    }
+  };
 
   return {
+    /**
+     * Push then release a key as if it came from the input source.
+     * @param {string} keyName
+     * @param {Object} [options]
+     * @param {Number} [options.hold=0] - Time, in ms, during which the key is
+     * held. If 0, the key is released right away.
+     * @param {Function} [callback] - Called once the key is released.
+     */
+    tap(keyName, options, callback) {
+      // the options can be omitted
+      const { hold = 0 } = (typeof options === 'object' && options) || {};
+      const onReleased = typeof options === 'function' ? options : callback;
+
+      const release = () => {
+        simulate(keyName, EVENT_NAMES.KEY_UP);
+        if (onReleased) {
+          onReleased();
+        }
+      };
+
+      simulate(keyName, EVENT_NAMES.KEY_DOWN);
+      if (hold > 0) {
+        scheduler.setTimeout(release, hold);
+      } else {
+        release();
+      }
+    },
+
+    simulate,
+
     listen(...args) {
       // get arguments
       const { keys,
               options,
-              callbackNext } = _processArguments(groupings, ...args);
+              callbackNext: listenCallback } =
+        _processArguments(keyMaps, groupings, ...args);
+
+      const processedOptions = _processOptions(options, groupings);
+
+      const id = ++lastBindingId;
+      const callbackNext = wrapListenCallback(id,
+                                              processedOptions.label,
+                                              listenCallback);
+
+      if (isSet(processedOptions.sequence)) {
+        return listenSequence(id,
+                              processedOptions.sequence,
+                              processedOptions,
+                              callbackNext);
+      }
 
       // get after and interval options
       const {
         pressIntervals,
+        pressCurve,
+        taps: wantedTaps,
+        tapWindow = DEFAULT_TAP_WINDOW,
+        shortPress: isShortPressWanted,
         reEmit: reEmitTimeout = defaultReemit,
         propagate: shouldPropagate = defaultPropagate,
-        combine: shouldCombineKeys = defaultCombine
-      } = _processOptions(options);
+        combine: shouldCombineKeys = defaultCombine,
+        editable = defaultEditable,
+        priority,
+        layer,
+        label
+      } = processedOptions;
 
-      // object used to know which key is pushed and when
-      // for each keycode
-      const keysObj = Object.keys(keyMap)
+      /**
+       * Construct a new key object, used to know if the corresponding key is
+       * pushed and when.
+       * @param {string} keyName
+       * @returns {Object}
+       */
+      const createKeyObj = (keyName) => ({
+        // name of the key
+        keyName,
 
-        // Only consider listened key
-        .filter(keyCode => keys.includes(keyMap[keyCode]))
+        // identifier of the listen it belongs to
+        bindingId: id,
 
-        // construct the keyObj object
-        .reduce((vals, key) => {
-          vals[key] = {
-            // name of the key
-            keyName: keyMap[key],
+        // true if currently pushed
+        isPushed: false,
 
-            // true if currently pushed
-            isPushed: false,
+        // timestamp of push start (null if not currently pushed)
+        pushStart: null,
 
-            // timestamp of push start (null if not currently pushed)
-            pushStart: null,
+        // keyCode, key and code of the last key pushed
+        keyInfos: { keyCode: null, key: null, code: null },
 
-            // current press interval step. 1 is the first step.
-            currentPressInterval: 0,
+        // current press interval step. 1 is the first step.
+        currentPressInterval: 0,
 
-            // store a setInterval's return for press events
-            interval: null,
+        // number of press events sent since the last push
+        pressCount: 0,
 
-            // store setTimeouts return for press events
-            timeouts: []
-          };
+        // timestamp of the last press event (null if none since the push)
+        lastPress: null,
+
+        // store a setInterval's return for press events
+        interval: null,
+
+        // store setTimeouts return for press events
+        timeouts: [],
+
+        // number of quick successive pushes, 1 being a single push
+        tapCount: 0,
 
-          return vals;
-        }, {});
+        // timestamp of the last release (null if never released)
+        lastRelease: null,
+
+        // store a setTimeout's return for the end of the tap window
+        tapTimeout: null,
+
+        // true if the push event is held back, waiting to know if another tap
+        // is coming ('taps' option only)
+        isHeldBack: false,
+
+        // taps already released whose events are held back, until the
+        // multi-tap is either completed or missed ('taps' option only). Each
+        // one has its tapCount, keyInfos, pushStart and releaseTime.
+        heldBackTaps: [],
+
+        // true if the current push completed a multi-tap ('taps' option only)
+        isMultiTap: false
+      });
+
+      // object used to know which key is pushed and when
+      // for each key identifier. Filled as keys are pushed.
+      const keysObj = {};
 
       /**
-       * Clear current timeouts and/or interval for a specific key object.
-       * @param {Object} keyObj
-       * @param {Number|null} keyObj.timeouts
-       * @param {Number|null} keyObj.interval
+       * Returns the key object corresponding to the given KeyCatcher event.
+       * Creates it if it does not exist yet.
+       * @param {Object} evt
+       * @param {string} evt.keyName
+       * @param {Number|string} evt.keyId
+       * @returns {Object}
        */
-      const clearKeyTimeouts = (keyObj) => {
-        // 1 - clear timeouts
-        keyObj.timeouts.forEach(t => clearTimeout(t));
-        keyObj.timeouts = [];
-
-        // 2 - clear intervals
-        if (keyObj.interval) {
-          clearInterval(keyObj.interval);
-          keyObj.interval = 0;
-        }
-
-        // 3 - remove from activePresses object
-        if (activePresses[keyObj.keyName]) {
-          const keyActivePresses = activePresses[keyObj.keyName];
-          const indexOf = keyActivePresses.indexOf(keyObj);
-          activePresses[keyObj.keyName].splice(indexOf, 1);
-          if (!keyActivePresses.length) {
-            delete activePresses[keyObj.keyName];
-          }
+      const getKeyObj = ({ keyName, keyId }) => {
+        // combinations have no identifier of their own, their key object is
+        // referenced by their name instead. A key given another name by a
+        // middleware has another key object.
+        const id = isCombination(keyName) ? keyName : `${keyId}:${keyName}`;
+        if (!keysObj[id]) {
+          keysObj[id] = createKeyObj(keyName);
         }
+        return keysObj[id];
       };
 
+      /**
+       * Construct the properties common to every event sent for the given
+       * key object.
+       * @param {Object} keyObj
+       * @returns {Object}
+       */
+      const getEventBase = ({ keyName, keyInfos, tapCount, pressCount }) => ({
+        keyName,
+        keyCode: keyInfos.keyCode,
+        key: keyInfos.key,
+        code: keyInfos.code,
+        tap: tapCount,
+        step: pressCount
+      });
+
       /**
        * Send 'push' event for the given key object (property from the keysObj
        * object).
+       * Not sent when the 'shortPress' option is set, as it is replaced by the
+       * 'shortpress' event on release.
        * @param {Object} keyObj
        */
       const sendPushEvent = (ctx, keyObj) => {
-        const { keyName } = keyObj;
-        callbackNext.call(ctx, { keyName,
+        if (isShortPressWanted) {
+          return;
+        }
+        callbackNext.call(ctx, { ...getEventBase(keyObj),
                                  event: EVENT_NAMES.KEY_DOWN,
                                  pressInterval: 0,
+                                 velocity: 0,
+                                 timepress: 0 });
+      };
+
+      /**
+       * Send 'multitap' event for the given key object (property from the
+       * keysObj object).
+       * @param {Object} keyObj
+       */
+      const sendMultiTapEvent = (ctx, keyObj) => {
+        callbackNext.call(ctx, { ...getEventBase(keyObj),
+                                 event: EVENT_NAMES.MULTI_TAP,
+                                 pressInterval: 0,
+                                 velocity: 0,
                                  timepress: 0 });
       };
 
       /**
        * Send 'press' event for the given key object (property from the keysObj
        * object).
+       * Its velocity is the number of press events per second, from the time
+       * elapsed since the previous one (or since the push for the first one).
        * @param {Object} keyObj
        */
       const sendPressEvent = (ctx, keyObj) => {
-        const { keyName,
-                currentPressInterval,
-                pushStart } = keyObj;
-        const timepress = isSet(pushStart) ? performance.now() - pushStart :
-                                             0;
-        callbackNext.call(ctx, { keyName,
+        const { currentPressInterval,
+                pushStart,
+                lastPress } = keyObj;
+        const now = scheduler.now();
+        const timepress = isSet(pushStart) ? now - pushStart : 0;
+        const sincePrevious = now - (isSet(lastPress) ? lastPress :
+                                                        pushStart);
+
+        keyObj.pressCount++;
+        keyObj.lastPress = now;
+        callbackNext.call(ctx, { ...getEventBase(keyObj),
                                  event: EVENT_NAMES.KEY_PRESS,
                                  pressInterval: currentPressInterval,
+                                 velocity: sincePrevious > 0 ?
+                                   1000 / sincePrevious : 0,
                                  timepress });
       };
 
@@ -266,16 +964,30 @@ export default (opt = {}) => {
        * Send 'release' event for the given key object (property from the keysObj
        * object).
        * @param {Object} keyObj
+       * @param {Number} [releaseTime] - Timestamp at which the key was
+       * released. Now by default.
        */
-      const sendReleaseEvent = (ctx, keyObj) => {
-        const { keyName,
-                currentPressInterval,
+      const sendReleaseEvent = (ctx,
+                                keyObj,
+                                releaseTime = scheduler.now()) => {
+        const { currentPressInterval,
                 pushStart } = keyObj;
-        const timepress = isSet(pushStart) ? performance.now() - pushStart :
+        const timepress = isSet(pushStart) ? releaseTime - pushStart :
                                              0;
-        callbackNext.call(ctx, { keyName,
+
+        // the key was released before any press step: this was a short press
+        if (isShortPressWanted && !currentPressInterval) {
+          callbackNext.call(ctx, { ...getEventBase(keyObj),
+                                   event: EVENT_NAMES.SHORT_PRESS,
+                                   pressInterval: 0,
+                                   velocity: 0,
+                                   timepress });
+        }
+
+        callbackNext.call(ctx, { ...getEventBase(keyObj),
                                  event: EVENT_NAMES.KEY_UP,
                                  pressInterval: currentPressInterval,
+                                 velocity: 0,
                                  timepress });
       };
 
@@ -294,7 +1006,7 @@ export default (opt = {}) => {
        * @param {Object} evt
        * @param {string} evt.type - 'keyup' or 'keydown'
        * @param {string} evt.keyName
-       * @param {Number} evt.keyCode
+       * @param {Number|string} evt.keyId
        */
       const onEvent = function (evt) {
 
@@ -313,15 +1025,80 @@ export default (opt = {}) => {
         }
       };
 
-      const startPressEvents = (ctx, keyObj) => {
+      /**
+       * Update activePresses to add the given key object reference to it.
+       * @param {Object} keyObj
+       */
+      const addActivePress = (keyObj) => {
+        if (activePresses[keyObj.keyName]) {
+          activePresses[keyObj.keyName].push(keyObj);
+        } else {
+          activePresses[keyObj.keyName] = [keyObj];
+        }
+      };
+
+      /**
+       * Start press events following the press curve for the given key
+       * object: each press event schedules the next one, after the interval
+       * the curve gives for it.
+       * @param {Object} ctx
+       * @param {Object} keyObj
+       * @param {Number} elapsed - Time, in ms, since which the key is already
+       * pushed. The first press event is sent sooner accordingly.
+       */
+      const startPressCurve = (ctx, keyObj, elapsed) => {
+        addActivePress(keyObj);
+
+        trace('keyboard:timer', () => ({ action: 'start',
+                                        bindingId: id,
+                                        keyName: keyObj.keyName,
+                                        pressCurve: pressCurve.infos,
+                                        elapsed }));
+
+        const schedulePress = (delay) => {
+          // replaced when the timeouts are cleared, see clearKeyTimeouts
+          const timeouts = keyObj.timeouts;
+          const timeoutId = scheduler.setTimeout(() => {
+            timeouts.splice(timeouts.indexOf(timeoutId), 1);
+            keyObj.currentPressInterval = 1;
+            sendPressEvent(ctx, keyObj);
+
+            // the callback could have released the key or stopped the listen
+            if (!keyObj.isPushed || keyObj.timeouts !== timeouts) {
+              return;
+            }
+            const next = +pressCurve.getInterval(keyObj.pressCount,
+                                                 scheduler.now() -
+                                                   keyObj.pushStart);
+            if (next > 0) {
+              schedulePress(Math.max(next, 1));
+            }
+          }, delay);
+          timeouts.push(timeoutId);
+        };
+
+        const after = isSet(pressCurve.after) ? pressCurve.after :
+                                                +pressCurve.getInterval(0, 0);
+        if (after >= 0) {
+          schedulePress(Math.max(after - elapsed, 0));
+        }
+      };
+
+      /**
+       * Start press timeouts and interval for the given key object.
+       * @param {Object} ctx
+       * @param {Object} keyObj
+       * @param {Number} [elapsed=0] - Time, in ms, since which the key is
+       * already pushed. Press timeouts are shortened accordingly.
+       */
+      const startPressEvents = (ctx, keyObj, elapsed = 0) => {
+        if (isSet(pressCurve)) {
+          startPressCurve(ctx, keyObj, elapsed);
+        }
+
         // start press timeouts + interval
         if (isSet(pressIntervals)) {
-
-          // Update activePresses to add this keyObj reference to it.
-          const keyActivePresses = activePresses[keyObj.keyName];
-          activePresses[keyObj.keyName] = keyActivePresses ?
-            keyActivePresses.push(keyObj) :
-            [keyObj];
+          addActivePress(keyObj);
 
           /**
            * Set timeout and interval for a single pressInterval.
@@ -333,16 +1110,16 @@ export default (opt = {}) => {
            * @returns {Number} - setTimeout's ID.
            */
           const constructTimeout = (pressInterval) => {
-            return setTimeout(() => {
+            return scheduler.setTimeout(() => {
               // 1 - clear possible previous interval
               if (keyObj.interval) {
-                clearInterval(keyObj.interval);
+                scheduler.clearInterval(keyObj.interval);
               }
 
               // 2 - if an interval is set do a setInterval for key presses.
               // Reset keyObj.interval otherwhise
               if (isSet(pressInterval.interval)) {
-                keyObj.interval = setInterval(() => {
+                keyObj.interval = scheduler.setInterval(() => {
                   sendPressEvent(ctx, keyObj);
                 }, pressInterval.interval);
               } else {
@@ -353,9 +1130,15 @@ export default (opt = {}) => {
               keyObj.currentPressInterval++;
               sendPressEvent(ctx, keyObj);
 
-            }, pressInterval.after);
+            }, Math.max(pressInterval.after - elapsed, 0));
           };
 
+          trace('keyboard:timer', () => ({ action: 'start',
+                                          bindingId: id,
+                                          keyName: keyObj.keyName,
+                                          pressIntervals,
+                                          elapsed }));
+
           // launch every interval here (doing every setTimeout synchronously is
           // more reliable than doing one by one)
           pressIntervals.forEach(pressInterval => {
@@ -376,8 +1159,9 @@ export default (opt = {}) => {
        * stopPropagation function.
        * @param {Object} keyObj - The key object
        */
-      const onDownEvent = (kcCtx, { keyCode }) => {
-        const keyObj = keysObj[keyCode];
+      const onDownEvent = (kcCtx, evt) => {
+        const { keyId, keyCode, key, code } = evt;
+        const keyObj = getKeyObj(evt);
 
         // if it is already pushed, abort
         if (keyObj.isPushed) {
@@ -387,24 +1171,123 @@ export default (opt = {}) => {
         // if this keydown is not for the last key pushed, abort.
         // (registration can be done after some keys have been pushed, and we
         // could have set a reEmit timeout)
-        if (KEYCODES_PUSHED[KEYCODES_PUSHED.length - 1] !== keyCode) {
+        // A keydown delayed by a middleware is sent anyway: the key might
+        // have been released or followed by others in the meantime.
+        const keysPushed = listener.getPushedKeys();
+        if (!evt.isDelayed && keysPushed[keysPushed.length - 1] !== keyId) {
           return;
         }
 
         // context with which the callback will be called
         const cbCtx = { stopPropagation: kcCtx.stopPropagation };
 
-        // start press events if wanted
-        startPressEvents(cbCtx, keyObj);
-
         // set keyObj data
+        const now = scheduler.now();
         keyObj.isPushed = true;
-        keyObj.pushStart = performance.now();
+        keyObj.pushStart = now;
+        keyObj.keyInfos = { keyCode, key, code };
+        keyObj.currentPressInterval = 0;
+        keyObj.pressCount = 0;
+        keyObj.lastPress = null;
+        keyObj.tapCount = isSet(keyObj.lastRelease) &&
+                          now - keyObj.lastRelease <= tapWindow ?
+                            keyObj.tapCount + 1 :
+                            1;
+
+        if (isSet(wantedTaps)) {
+          onTapDown(cbCtx, keyObj);
+          return;
+        }
+
+        // start press events if wanted
+        startPressEvents(cbCtx, keyObj);
 
         // send initial push event
         sendPushEvent(cbCtx, keyObj);
       };
 
+      /**
+       * Send the push and release events of every tap held back for the
+       * given key object, in order.
+       * @param {Object} ctx
+       * @param {Object} keyObj
+       */
+      const sendHeldBackTaps = (ctx, keyObj) => {
+        const taps = keyObj.heldBackTaps;
+        keyObj.heldBackTaps = [];
+        taps.forEach(({ releaseTime, ...tap }) => {
+          const tapObj = { ...keyObj,
+                           ...tap,
+                           currentPressInterval: 0,
+                           pressCount: 0 };
+          sendPushEvent(ctx, tapObj);
+          sendReleaseEvent(ctx, tapObj, releaseTime);
+        });
+      };
+
+      /**
+       * Handle a push when the 'taps' option is set.
+       *
+       * The push event is held back until we know that it is not part of a
+       * multi-tap:
+       *   - if the wanted number of taps is reached, a 'multitap' event is
+       *     sent instead (of the events of every tap held back).
+       *   - if the key is still held at the end of the tap window, the events
+       *     of the taps held back are sent, then the push event (and press
+       *     events) as usual.
+       *   - if the key is released and not pushed again before the end of the
+       *     tap window, the push and release events of every tap held back
+       *     are sent at that time.
+       * @param {Object} ctx
+       * @param {Object} keyObj
+       */
+      const onTapDown = (ctx, keyObj) => {
+        scheduler.clearTimeout(keyObj.tapTimeout);
+        keyObj.tapTimeout = null;
+
+        if (keyObj.tapCount >= wantedTaps) {
+          keyObj.isMultiTap = true;
+          keyObj.heldBackTaps = [];
+          sendMultiTapEvent(ctx, keyObj);
+          keyObj.tapCount = 0;
+          return;
+        }
+
+        keyObj.isHeldBack = true;
+        keyObj.tapTimeout = scheduler.setTimeout(() => {
+          // still held at the end of the tap window, this is not a tap
+          keyObj.tapTimeout = null;
+          keyObj.isHeldBack = false;
+          sendHeldBackTaps(ctx, keyObj);
+          startPressEvents(ctx, keyObj, scheduler.now() - keyObj.pushStart);
+          sendPushEvent(ctx, keyObj);
+        }, tapWindow);
+      };
+
+      /**
+       * Handle a release when the 'taps' option is set and the push event
+       * was held back.
+       * The tap is held back in turn: wait for the end of the tap window to
+       * send the push and release events of every tap held back, if no other
+       * tap comes in the meantime.
+       * @param {Object} ctx
+       * @param {Object} keyObj
+       */
+      const onTapUp = (ctx, keyObj) => {
+        scheduler.clearTimeout(keyObj.tapTimeout);
+        keyObj.isHeldBack = false;
+        keyObj.heldBackTaps.push({ tapCount: keyObj.tapCount,
+                                   keyInfos: keyObj.keyInfos,
+                                   pushStart: keyObj.pushStart,
+                                   releaseTime: scheduler.now() });
+        keyObj.tapTimeout = scheduler.setTimeout(() => {
+          // no other tap came in time
+          keyObj.tapTimeout = null;
+          sendHeldBackTaps(ctx, keyObj);
+          keyObj.tapCount = 0;
+        }, tapWindow);
+      };
+
       /**
        * Callback called when a 'keyup' event was received for a particular
        * key object (keyObj param).
@@ -415,8 +1298,8 @@ export default (opt = {}) => {
        *   2. Set right data on the key object
        * @param {Object} keyObj - The key object
        */
-      const onUpEvent = (kcCtx, { keyCode }) => {
-        const keyObj = keysObj[keyCode];
+      const onUpEvent = (kcCtx, evt) => {
+        const keyObj = getKeyObj(evt);
 
         // if no push event has been received, don't send release events
         // (this can happen if the key was pushed while we were not listening)
@@ -429,9 +1312,23 @@ export default (opt = {}) => {
         // context with which the callback will be called
         const cbCtx = { stopPropagation: kcCtx.stopPropagation };
 
+        keyObj.isPushed = false;
+        keyObj.lastRelease = scheduler.now();
+
+        if (keyObj.isMultiTap) {
+          // the 'multitap' event replaced both the push and release events
+          keyObj.isMultiTap = false;
+          keyObj.pushStart = null;
+          return;
+        }
+
+        if (keyObj.isHeldBack) {
+          onTapUp(cbCtx, keyObj);
+          return;
+        }
+
         sendReleaseEvent(cbCtx, keyObj);
 
-        keyObj.isPushed = false;
         keyObj.pushStart = null;
       };
 
@@ -445,46 +1342,250 @@ export default (opt = {}) => {
         listener.on('keydown', onAnyKeyDown);
       }
 
-      // if the newly defined listened key must not be propagated,
-      // we have to stop emitting key presses for them.
+      kc.register(keys, { propagate: shouldPropagate,
+                          reEmit: reEmitTimeout,
+                          priority,
+                          layer,
+                          editable,
+                          infos: { id,
+                                   label,
+                                   keys,
+                                   press: pressIntervals ||
+                                     (pressCurve && pressCurve.infos) ||
+                                     null,
+                                   taps: wantedTaps || null,
+                                   shortPress: isShortPressWanted } },
+                  onEvent);
+
+      // if the newly defined listened key must not be propagated and is now
+      // the first one receiving them (its priority or layer might not let
+      // it), we have to stop emitting key presses for the listens below.
       if (!shouldPropagate) {
         keys.forEach(keyName => {
-          if (activePresses[keyName]) {
-            activePresses[keyName].forEach(keyObj => {
+          const [top] = kc.whoHandles(keyName);
+          if (activePresses[keyName] && top && top.id === id) {
+            activePresses[keyName].slice().forEach(keyObj => {
               clearKeyTimeouts(keyObj);
             });
           }
         });
       }
 
-      kc.register(keys, { propagate: shouldPropagate,
-                          reEmit: reEmitTimeout }, onEvent);
+      // clear timeouts for every key and forget their state
+      const reset = () => {
+        for (const key of Object.keys(keysObj)) {
+          clearKeyTimeouts(keysObj[key]);
+          scheduler.clearTimeout(keysObj[key].tapTimeout);
+          delete keysObj[key];
+        }
+      };
 
-      return () => {
+      // forget the keys held which are not received anymore, as reset does
+      const forgetShadowed = () => {
+        for (const key of Object.keys(keysObj)) {
+          const keyObj = keysObj[key];
+          if (keyObj.isPushed &&
+              !kc.whoHandles(keyObj.keyName).some(infos => infos.id === id)) {
+            clearKeyTimeouts(keyObj);
+            scheduler.clearTimeout(keyObj.tapTimeout);
+            delete keysObj[key];
+          }
+        }
+      };
+
+      return createBinding(id, onEvent, reset, () => {
         if (!shouldCombineKeys) {
           listener.off('keydown', onAnyKeyDown);
         }
 
-        // clear timeouts for every key
-        for (const key of Object.keys(keysObj)) {
-          clearKeyTimeouts(keysObj[key]);
-        }
+        reset();
 
         // clear catchers
         kc.unregister(keys, onEvent);
+      }, forgetShadowed);
+    },
+
+    /**
+     * Pause every listen: no key event is sent until the keyboard is resumed.
+     */
+    pause() {
+      isPaused = true;
+      kc.pause();
+      listenResets.forEach(reset => reset());
+    },
+
+    /**
+     * Resume every listen after a pause. Listens paused on their own stay
+     * paused.
+     */
+    resume() {
+      isPaused = false;
+      kc.resume();
+    },
+
+    /**
+     * Add a middleware, to inspect, rewrite, delay or drop events.
+     *
+     * It is either a function, called with every key event before it is
+     * dispatched to the listens (see the use function in key_catcher.js), or
+     * an object with any of those two functions:
+     *   - key(keyEvt, next): called with every key event ('keydown' or
+     *     'keyup') before it is dispatched to the listens.
+     *   - event(evt, next): called with every event ('push', 'press',
+     *     'release'...) before it is sent to a listen's callback.
+     *
+     * Each function calls `next` (at most once) so the event continues its
+     * way: either without argument, or with a new event. It can be called
+     * later to delay the event, or not at all to drop it. An event delayed
+     * this way is dropped if its listen is stopped or paused in the meantime.
+     * @param {Function|Object} middleware
+     * @returns {Function} - Remove the middleware.
+     */
+    use(middleware) {
+      const { key: keyMiddleware, event: eventMiddleware } =
+        typeof middleware === 'function' ? { key: middleware } : middleware;
+
+      const removeKeyMiddleware = keyMiddleware ? kc.use(keyMiddleware) :
+                                                  () => {};
+      if (eventMiddleware) {
+        eventMiddlewares.push(eventMiddleware);
+      }
+
+      return () => {
+        removeKeyMiddleware();
+        const indexOf = eventMiddlewares.indexOf(eventMiddleware);
+        if (indexOf >= 0) {
+          eventMiddlewares.splice(indexOf, 1);
+        }
       };
     },
 
+    /**
+     * Returns a serialisable description of every listen done, per key, to
+     * know which one receives which key and why the others do not.
+     * Listens are described by their id, label, keys, options and state.
+     * See the inspect function in key_catcher.js for the whole format.
+     * @returns {Object}
+     */
+    inspect() {
+      return kc.inspect();
+    },
+
+    /**
+     * Returns the description of every listen which would receive the given
+     * key if it was pushed now, in the order they would receive it.
+     * @param {string|Array.<string>} keyName - A combination can be given.
+     * @returns {Array.<Object>}
+     */
+    whoHandles(keyName) {
+      const name = Array.isArray(keyName) || isCombination(keyName) ?
+        toCombinationName(keyName) : keyName;
+      return kc.whoHandles(name);
+    },
+
+    /**
+     * Push a named modal layer: every listen done from now on belongs to it
+     * (unless another `layer` option is given) and only the listens of the
+     * top layer receive key events, except for the keys it lets pass
+     * through.
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {Array.<string>} [options.passthrough] - Keys (or groupings)
+     * still received by the layers below.
+     */
+    pushLayer(name, options = {}) {
+      const passthrough = _getKeysFromNames(groupings,
+                                            options.passthrough || []);
+      kc.pushLayer(name, { passthrough });
+
+      // keys held are not received by the layers below anymore, stop
+      // sending their press events
+      forgetShadowedKeys();
+    },
+
+    /**
+     * Pop a modal layer, restoring the listens of the layer below.
+     * @param {string} [name] - If not set, the top layer is popped.
+     */
+    popLayer(name) {
+      kc.popLayer(name);
+
+      // nor are the keys held received by the listens of the layer popped
+      forgetShadowedKeys();
+    },
+
+    /**
+     * Stop every listen and every listener on the input source, which is
+     * stopped if no other keyboard uses it.
+     */
     close() {
+      Array.from(activeBindings.values()).forEach(unbind => unbind());
+      listener.close();
       kc.close();
     }
   };
 };
 
+/**
+ * Browse Groupings to be sure only key names are returned.
+ * Combinations (either as an array or as a string) are normalized into a
+ * single combination name.
+ * @param {Object} groupings
+ * @param {Array.<string|Array.<string>>} names
+ * @returns {Array.<string>}
+ */
+const _getKeysFromNames = (groupings, names) =>
+  names.reduce((kns, name) => {
+    if (Array.isArray(name) || isCombination(name)) {
+      kns.push(toCombinationName(name));
+      return kns;
+    }
+    if (Object.keys(groupings).includes(name)) {
+      return kns.concat(groupings[name]);
+    }
+    kns.push(name);
+    return kns;
+  }, []);
+
+/**
+ * Returns the given editable policy (see misc/isAllowedOnEditable.js) with
+ * its groupings browsed, if it is a list of key names.
+ * @param {Object} groupings
+ * @param {string|Array.<string>} policy
+ * @returns {string|Array.<string>}
+ */
+const _getEditablePolicy = (groupings, policy) =>
+  Array.isArray(policy) ? _getKeysFromNames(groupings, policy) : policy;
+
+/**
+ * Returns the number of keys of the sequence still correctly pushed once the
+ * given wrong key is pushed: the longest end of the keys pushed until now
+ * (the wrong one included) which is also the beginning of the sequence.
+ * @example _getSequenceFallback(['Up', 'Up', 'Down'], 2, 'Up') => 2
+ * @example _getSequenceFallback(['Up', 'Down'], 1, 'Left') => 0
+ * @param {Array.<string>} sequence
+ * @param {Number} step - Number of keys of the sequence correctly pushed
+ * before the wrong key.
+ * @param {string} keyName - The wrong key.
+ * @returns {Number}
+ */
+const _getSequenceFallback = (sequence, step, keyName) => {
+  for (let fallbackStep = step; fallbackStep > 0; fallbackStep--) {
+    const start = step - fallbackStep + 1;
+    if (sequence[fallbackStep - 1] === keyName &&
+        sequence.slice(start, step)
+          .every((kn, i) => kn === sequence[i])) {
+      return fallbackStep;
+    }
+  }
+  return 0;
+};
+
 /**
  * Retrieve arguments (keys + options + callback).
  * undefined if not defined/null/ignored.
- * @param {Array.<string>} groupings
+ * @param {Object} keyMaps
+ * @param {Object} groupings
  * @param {...*} [args]
  * @return {Object} obj
  * @returns {Array.<string>|undefined} obj.keys - Every key names listened to.
@@ -492,35 +1593,21 @@ export default (opt = {}) => {
  * @returns {Object|undefined} obj.options
  * @returns {Function|undefined} obj.callbackNext
  */
-const _processArguments = function(groupings, ...args) {
+const _processArguments = function(keyMaps, groupings, ...args) {
   let keysArg; // key names
   let optionsArg;
   let callbackArg;
 
-  /**
-   * Browse Groupings to be sure only key names are returned.
-   * @param {Array.<string>} names
-   * @returns {Array.<string>}
-   */
-  const getKeysFromNames = (names) =>
-    names.reduce((kns, name) => {
-      if (Object.keysArg(groupings).includes(name)) {
-        return kns.concat(groupings[name]);
-      }
-      kns.push(name);
-      return kns;
-    }, []);
-
   const argsLen = args.length;
   let argId = 0;
   let arg = args[argId];
 
   if (Array.isArray(arg)) {
-    keysArg = getKeysFromNames(arg);
+    keysArg = _getKeysFromNames(groupings, arg);
     argId++;
     arg = args[argId];
   } else if (typeof arg === 'string') {
-    keysArg = getKeysFromNames([arg]);
+    keysArg = _getKeysFromNames(groupings, [arg]);
     argId++;
     arg = args[argId];
   } else if (!isSet(arg) && argsLen - 1 > argId) {
@@ -542,7 +1629,7 @@ const _processArguments = function(groupings, ...args) {
   }
 
   const keys = isSet(keysArg) ? keysArg :
-                                uniq(Object.values(keyMap));
+                                getAllKeyNames(keyMaps);
   const options = isSet(optionsArg) ? optionsArg :
                                       {};
   const callbackNext = isSet(callbackArg) ? callbackArg :
@@ -562,9 +1649,7 @@ const _processArguments = function(groupings, ...args) {
  * @returns {Array.<Object>}
  */
 const _sortPressIntervals = (pressIntervals) => {
-  const len = pressIntervals.length;
-
-  for (let i = 0; i < len; i++) {
+  for (let i = 0; i < pressIntervals.length; i++) {
     // That does not look like an efficient way of doing it, but it doesn't
     // matter here
     pressIntervals[i] = { after: +pressIntervals[i].after,
@@ -585,37 +1670,122 @@ const _sortPressIntervals = (pressIntervals) => {
       delete pressIntervals[i].interval;
     }
 
-    const j = i;
-    while ( j > 0 && pressIntervals[j - 1].after > pressIntervals[j].after) {
+    let j = i;
+    while (j > 0 && pressIntervals[j - 1].after > pressIntervals[j].after) {
       const tmp = pressIntervals[j];
       pressIntervals[j] = pressIntervals[j - 1];
       pressIntervals[j - 1] = tmp;
+      j--;
     }
   }
   return pressIntervals;
 };
 
+/**
+ * Returns the press curve described by the given press option, for press
+ * events whose interval changes while the key is held. Either:
+ *   - an interval function, called after each press event with the number
+ *     of press events sent since the push and the time since the push (in
+ *     ms). It returns the time until the next press event, 0 or less to stop
+ *     sending them.
+ *   - a ramp: the interval starts at `start` ms and is multiplied by
+ *     `factor` after each press event, without going under `min` ms.
+ * Returns undefined if the option describes neither.
+ * @param {Object} pressOpt
+ * @returns {Object|undefined} curve
+ * @returns {Number} [curve.after] - Time, in ms, after the push at which the
+ * first press event is sent. If not set, the interval function gives it
+ * (called with 0 press event and 0 ms).
+ * @returns {Function} curve.getInterval
+ * @returns {Object} curve.infos - Serialisable description of the curve.
+ */
+const _getPressCurve = ({ after, interval, start, min, factor }) => {
+  const afterNum = isSet(after) ? +after : NaN;
+
+  if (typeof interval === 'function') {
+    return { after: isNaN(afterNum) ? undefined : afterNum,
+             getInterval: interval,
+             infos: { after: isNaN(afterNum) ? null : afterNum,
+                      interval: 'function' } };
+  }
+
+  const startNum = +start;
+  if (!isSet(start) || isNaN(startNum)) {
+    return undefined;
+  }
+  const minNum = isSet(min) && !isNaN(+min) ? +min : 0;
+  const factorNum = isSet(factor) && !isNaN(+factor) ? +factor : 1;
+  const curveAfter = isNaN(afterNum) ? startNum : afterNum;
+
+  return { after: curveAfter,
+           getInterval: (step) =>
+             Math.max(minNum, startNum * Math.pow(factorNum, step - 1)),
+           infos: { after: curveAfter,
+                    start: startNum,
+                    min: minNum,
+                    factor: factorNum } };
+};
+
 /**
  * Retrieve press options from the options arguments.
  * @param {Object} options - options as returned by _processArguments.
+ * @param {Object} groupings
  * @returns {Object} opts - options as returned by
  * @returns {Number} [opts.after] - Time (after a keydown event) after which
  * a key press is triggered. Without this param, no press is possible.;
  * @returns {Number} [opts.interval] - Interval (after 'after') on which the
  * press event is triggered. If not set, no press event interval is set.
+ * @returns {Object} [opts.pressCurve] - Press curve, as returned by
+ * _getPressCurve, if the press option describes one instead of fixed
+ * intervals.
  * @returns {Boolean} opts.propagate - wether the keyboard call is
  * propagated to the next one or not.
+ * @returns {Number} [opts.taps] - Number of quick successive pushes wanted to
+ * send a 'multitap' event. Not set if no multi-tap is wanted.
+ * @returns {Number} [opts.tapWindow] - Maximum time between the release of a
+ * key and its next push for both to be part of the same multi-tap.
+ * @returns {Boolean} [opts.shortPress] - If true, the push event is replaced
+ * by a 'shortpress' event sent on release if no press event was sent.
+ * @returns {Array.<string>} [opts.sequence] - Key names to push in order. Not
+ * set if the listener is not for a sequence.
+ * @returns {Number} [opts.sequenceTimeout] - Maximum time between two keys of
+ * the sequence.
+ * @returns {Number} [opts.priority] - Listens with a higher priority receive
+ * key events before the ones with a lower priority, whatever the order in
+ * which they were done. Not set if the default priority should be taken.
+ * @returns {string} [opts.label] - Name given to the listen, to recognize it
+ * in the inspect method's result.
+ * @returns {string|null} [opts.layer] - Name of the modal layer the listen
+ * belongs to (null for none). Not set if the current top layer should be
+ * taken.
+ * @returns {string|Array.<string>} [opts.editable] - What to do with the
+ * keys pushed while an editable element is focused: 'always', 'ignore' or
+ * the key names received (groupings browsed). Not set if the default policy
+ * should be taken.
  */
-const _processOptions = function(options) {
-  let pressIntervals, reEmit;
+const _processOptions = function(options, groupings) {
+  let pressIntervals, pressCurve, reEmit, taps, tapWindow, sequence,
+    sequenceTimeout, priority;
   const { propagate: propagateOpt,
           combine: combineOpt,
           reEmit: reEmitOpt,
-          press: pressOpt } = options;
+          press: pressOpt,
+          taps: tapsOpt,
+          tapWindow: tapWindowOpt,
+          shortPress: shortPressOpt,
+          sequence: sequenceOpt,
+          sequenceTimeout: sequenceTimeoutOpt,
+          priority: priorityOpt,
+          editable: editableOpt,
+          layer,
+          label } = options;
 
   if (isSet(pressOpt)) {
     if (Array.isArray(pressOpt)) {
       pressIntervals = _sortPressIntervals(pressOpt);
+    } else if (typeof pressOpt.interval === 'function' ||
+               isSet(pressOpt.start)) {
+      pressCurve = _getPressCurve(pressOpt);
     } else {
       const afterOpt = +pressOpt.after;
       const intervalOpt = +pressOpt.interval;
@@ -641,8 +1811,63 @@ const _processOptions = function(options) {
     }
   }
 
+  if (isSet(tapsOpt)) {
+    const tapsNum = +tapsOpt;
+
+    // a single tap is just a push
+    if (tapsNum > 1) {
+      taps = tapsNum;
+    }
+  }
+
+  if (isSet(tapWindowOpt)) {
+    const tapWindowNum = +tapWindowOpt;
+    if (!isNaN(tapWindowNum)) {
+      tapWindow = tapWindowNum;
+    }
+  }
+
+  if (isSet(sequenceOpt)) {
+    // 'g g' == ['g', 'g']
+    const sequenceNames = typeof sequenceOpt === 'string' ?
+      sequenceOpt.split(' ').filter(x => x) :
+      sequenceOpt;
+
+    sequence = sequenceNames.map(name =>
+      Array.isArray(name) || isCombination(name) ? toCombinationName(name) :
+                                                   name);
+    if (!sequence.length) {
+      sequence = undefined;
+    }
+  }
+
+  if (isSet(sequenceTimeoutOpt)) {
+    const sequenceTimeoutNum = +sequenceTimeoutOpt;
+    if (!isNaN(sequenceTimeoutNum)) {
+      sequenceTimeout = sequenceTimeoutNum;
+    }
+  }
+
+  if (isSet(priorityOpt)) {
+    const priorityNum = +priorityOpt;
+    if (!isNaN(priorityNum)) {
+      priority = priorityNum;
+    }
+  }
+
   return { pressIntervals,
+           pressCurve,
            combine: combineOpt,
            reEmit,
-           propagate: propagateOpt };
+           propagate: propagateOpt,
+           taps,
+           tapWindow,
+           shortPress: !!shortPressOpt,
+           sequence,
+           sequenceTimeout,
+           priority,
+           editable: isSet(editableOpt) ?
+             _getEditablePolicy(groupings, editableOpt) : undefined,
+           layer,
+           label };
 };
@@ -0,0 +1,23 @@
+/**
+ * Returns true if a key event should be received according to the given
+ * editable policy, which tells what to do with the keys pushed while an
+ * editable element (input, textarea, select, contentEditable) is focused:
+ *   - 'always': receive them anyway.
+ *   - 'ignore': never receive them.
+ *   - an array of key names: only receive those.
+ * Keys pushed elsewhere are always received.
+ * @example isAllowedOnEditable('ignore', 'a', { isEditable: true }) => false
+ * @example isAllowedOnEditable(['Enter'], 'Enter', { isEditable: true }) => true
+ * @example isAllowedOnEditable('ignore', 'a', {}) => true
+ * @param {string|Array.<string>} [policy='always']
+ * @param {string} keyName
+ * @param {Object} keyInfos
+ * @param {Boolean} [keyInfos.isEditable]
+ * @returns {Boolean}
+ */
+export default (policy = 'always', keyName, { isEditable }) => {
+  if (!isEditable || policy === 'always') {
+    return true;
+  }
+  return Array.isArray(policy) && policy.includes(keyName);
+};
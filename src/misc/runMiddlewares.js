@@ -0,0 +1,36 @@
+/**
+ * Run an event through a chain of middlewares, then give it to the done
+ * callback.
+ *
+ * Each middleware is called with the event and a `next` function, which it
+ * calls (at most once) to hand the event to the next middleware, either as is
+ * or with another event given as argument. A middleware can call next later to
+ * delay the event, or never call it to drop it.
+ * @example
+ * runMiddlewares([(evt, next) => next({ ...evt, keyName: 'PageUp' })],
+ *                { keyName: 'ChannelUp' },
+ *                evt => console.log(evt.keyName)); // 'PageUp'
+ * @param {Array.<Function>} middlewares
+ * @param {Object} evt
+ * @param {Function} done
+ */
+export default (middlewares, evt, done) => {
+  // middlewares added or removed in the meantime do not affect this event
+  const chain = middlewares.slice();
+
+  const run = (index, currentEvt) => {
+    if (index >= chain.length) {
+      done(currentEvt);
+      return;
+    }
+
+    let isNextCalled = false;
+    chain[index](currentEvt, (nextEvt = currentEvt) => {
+      if (!isNextCalled) {
+        isNextCalled = true;
+        run(index + 1, nextEvt);
+      }
+    });
+  };
+  run(0, evt);
+};
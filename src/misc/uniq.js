@@ -5,4 +5,4 @@
  * @param {Array} x
  * @returns {Array}
  */
-export default (x) => [...new Set(x)];
+export default (x) => x.filter((val, i) => x.indexOf(val) === i);
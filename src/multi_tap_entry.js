@@ -0,0 +1,269 @@
+/**
+ * This file defines a multi-tap entry: a text entry through the numeric keys
+ * of a remote, as on phone keypads.
+ *
+ * Pushing a key composes its first character. Pushing it again before the
+ * timeout replaces it by the next one (cycling back to the first one after
+ * the last). The character composed is committed (added to the text) once
+ * the timeout is over, or as soon as another key is pushed. 'Back' deletes
+ * the character composed, or the last one committed.
+ *
+ * It is built on top of a RKeyboard and sends three types of events:
+ *   - __compose__: A character is being composed (not part of the text yet).
+ *   - __commit__: The character composed has been added to the text.
+ *   - __delete__: A character has been deleted, either the one composed or
+ *       the last one of the text.
+ *
+ * Each event has the following properties:
+ *   - event {string}: 'compose', 'commit' or 'delete'.
+ *   - char {string}: the character composed, committed or deleted.
+ *   - keyName {string|null}: the key composing the character (null for
+ *     deleted characters of the text).
+ *   - text {string}: the text after the operation.
+ */
+
+import RKeyboard from './implementations/default.js';
+import defaultConfig from './config.js';
+import getScheduler from './scheduler.js';
+
+const { DEFAULT_MULTI_TAP_TIMEOUT,
+        DEFAULT_MULTI_TAP_LOCALE,
+        MULTI_TAP_TABLES } = defaultConfig;
+
+/**
+ * Returns the character table of the given locale. 'fr-CA' falls back on
+ * 'fr', unknown locales on the default one.
+ * @param {string} [locale]
+ * @returns {Object}
+ */
+const getLocaleTable = (locale) => {
+  if (locale && MULTI_TAP_TABLES[locale]) {
+    return MULTI_TAP_TABLES[locale];
+  }
+  const language = locale && locale.split('-')[0].toLowerCase();
+  return MULTI_TAP_TABLES[language] ||
+         MULTI_TAP_TABLES[DEFAULT_MULTI_TAP_LOCALE];
+};
+
+/**
+ * Create a new multi-tap entry.
+ * @param {Object} [opt]
+ * @param {Object} [opt.keyboard] - RKeyboard to listen to. A new one is
+ * created if not set.
+ * @param {string} [opt.locale='en'] - Locale of the character table (see
+ * MULTI_TAP_TABLES in config.js).
+ * @param {Object} [opt.table] - Custom character table, replacing the
+ * locale's one. Keys are key names, values the characters they compose.
+ * @param {Number} [opt.timeout=1000] - Time, in ms, after which the character
+ * composed is committed.
+ * @param {string} [opt.text=''] - Initial text.
+ * @param {string|null} [opt.layer] - Modal layer of the keyboard the entry
+ * belongs to. The current top one by default.
+ * @param {Object} [opt.scheduler] - See scheduler.js
+ * @param {Function} [opt.onCompose]
+ * @param {Function} [opt.onCommit]
+ * @param {Function} [opt.onDelete]
+ * @param {Function} [opt.onEvent] - Called for every event.
+ * @param {Function} [opt.onBack] - Called when 'Back' is pushed while there
+ * is nothing to delete (e.g. to leave the search).
+ * @returns {Object}
+ *
+ * @example
+ * ```js
+ * const keyboard = RKeyboard();
+ * const entry = createMultiTapEntry({
+ *   keyboard,
+ *   locale: 'fr',
+ *   onEvent: (e) => {
+ *     // e.g. 'ab' followed by an underlined 'c'
+ *     renderSearch(e.text, e.event === 'compose' ? e.char : '');
+ *   },
+ *   onCommit: (e) => search(e.text),
+ *   onBack: () => leaveSearch()
+ * });
+ *
+ * // ...
+ * entry.destroy();
+ * ```
+ */
+export default (opt = {}) => {
+  const keyboard = opt.keyboard || RKeyboard();
+
+  const scheduler = getScheduler(opt.scheduler);
+
+  const table = opt.table || getLocaleTable(opt.locale);
+
+  const timeout = opt.timeout > 0 ? opt.timeout : DEFAULT_MULTI_TAP_TIMEOUT;
+
+  let text = opt.text || '';
+
+  /**
+   * Character currently composed, null if none.
+   * Example: { keyName: 'Num2', index: 1 } (a 'b' with the 'en' table)
+   * @type Object|null
+   */
+  let composed = null;
+
+  // setTimeout's ID for committing the character composed
+  let timeoutId = null;
+
+  const emit = (event, char, keyName) => {
+    const evt = { event, char, keyName, text };
+    const callback = { compose: opt.onCompose,
+                       commit: opt.onCommit,
+                       delete: opt.onDelete }[event];
+    if (callback) {
+      callback(evt);
+    }
+    if (opt.onEvent) {
+      opt.onEvent(evt);
+    }
+  };
+
+  const getComposedChar = () => table[composed.keyName][composed.index];
+
+  const clearCommitTimeout = () => {
+    scheduler.clearTimeout(timeoutId);
+    timeoutId = null;
+  };
+
+  /**
+   * Add the character composed to the text, if one.
+   */
+  const commit = () => {
+    if (!composed) {
+      return;
+    }
+    clearCommitTimeout();
+    const char = getComposedChar();
+    const { keyName } = composed;
+    composed = null;
+    text += char;
+    emit('commit', char, keyName);
+  };
+
+  const onKeyPush = ({ keyName }) => {
+    const chars = table[keyName];
+    if (!chars || !chars.length) {
+      return;
+    }
+
+    if (composed && composed.keyName === keyName) {
+      composed.index = (composed.index + 1) % chars.length;
+    } else {
+      commit();
+      composed = { keyName, index: 0 };
+    }
+
+    clearCommitTimeout();
+    timeoutId = scheduler.setTimeout(commit, timeout);
+    emit('compose', getComposedChar(), keyName);
+  };
+
+  const onBackPush = () => {
+    if (composed) {
+      clearCommitTimeout();
+      const char = getComposedChar();
+      const { keyName } = composed;
+      composed = null;
+      emit('delete', char, keyName);
+    } else if (text.length) {
+      const char = text[text.length - 1];
+      text = text.slice(0, -1);
+      emit('delete', char, null);
+    } else if (opt.onBack) {
+      opt.onBack();
+    }
+  };
+
+  const keyNames = Object.keys(table);
+
+  const bindings = [
+    // any other key commits the character composed, and still reaches the
+    // listens below
+    keyboard.listen({
+      propagate: true,
+      layer: opt.layer,
+      label: 'multi-tap entry',
+      onPush: ({ keyName }) => {
+        if (!keyNames.includes(keyName) && keyName !== 'Back') {
+          commit();
+        }
+      }
+    }),
+
+    // the keys are not propagated: they are meant for the entry only
+    keyboard.listen(keyNames, {
+      propagate: false,
+      layer: opt.layer,
+      label: 'multi-tap entry',
+      onPush: onKeyPush
+    }),
+
+    keyboard.listen('Back', {
+      propagate: false,
+      layer: opt.layer,
+      label: 'multi-tap entry',
+      onPush: onBackPush
+    })
+  ];
+
+  return {
+    /**
+     * Returns the text committed until now.
+     * @returns {string}
+     */
+    getText() {
+      return text;
+    },
+
+    /**
+     * Returns the character currently composed, null if none.
+     * @returns {string|null}
+     */
+    getComposed() {
+      return composed ? getComposedChar() : null;
+    },
+
+    /**
+     * Replace the text. The character composed is dropped.
+     * @param {string} newText
+     */
+    setText(newText) {
+      clearCommitTimeout();
+      composed = null;
+      text = newText;
+    },
+
+    /**
+     * Commit the character composed now, without waiting for the timeout.
+     */
+    commit,
+
+    /**
+     * Stop reacting to the keys until resume is called. The character
+     * composed is committed.
+     */
+    pause() {
+      commit();
+      bindings.forEach(binding => binding.pause());
+    },
+
+    resume() {
+      bindings.forEach(binding => binding.resume());
+    },
+
+    /**
+     * Stop listening to the keys. The character composed is dropped.
+     * The keyboard is freed if it was created by the entry.
+     */
+    destroy() {
+      clearCommitTimeout();
+      composed = null;
+      bindings.forEach(binding => binding.unbind());
+      if (!opt.keyboard) {
+        keyboard.free();
+      }
+    }
+  };
+};
@@ -0,0 +1,343 @@
+/**
+ * This file defines a numeric entry: digits typed through the numeric keys
+ * are collected into a value, for channel numbers or PIN codes.
+ *
+ * The value is submitted once the timeout after the last digit is over, once
+ * it reaches its maximum length, or when 'Enter' is pushed. While digits are
+ * being typed, 'Back' deletes the last one. 'Enter' and 'Back' are only
+ * listened to in the meantime: the other bindings receive them otherwise.
+ *
+ * It is built on top of a RKeyboard and sends the following events:
+ *   - __progress__: A digit was added or deleted.
+ *   - __value__: The value was submitted (and accepted by the validate
+ *       option, if set).
+ *   - __invalid__: The value submitted was refused by the validate option.
+ *   - __locked__: The value submitted was refused and the maximum number of
+ *       attempts is reached. Digits are ignored until unlock is called.
+ *
+ * Each event has the following properties:
+ *   - event {string}: 'progress', 'value', 'invalid' or 'locked'.
+ *   - value {string}: the digits typed.
+ *   - display {Array.<string>}: what to display for each digit (masked if
+ *     the mask option is set), followed by a placeholder for each digit still
+ *     expected (if the maxLength option is set). E.g. ['1', '2', '_'].
+ *   - attempts {Number}: number of values refused until now.
+ */
+
+import isSet from './misc/isSet.js';
+import RKeyboard from './implementations/default.js';
+import defaultConfig from './config.js';
+import getScheduler from './scheduler.js';
+
+const { DEFAULT_NUMERIC_ENTRY_TIMEOUT,
+        DEFAULT_NUMERIC_ENTRY_PLACEHOLDER } = defaultConfig;
+
+/**
+ * Create a new numeric entry.
+ * @param {Object} [opt]
+ * @param {Object} [opt.keyboard] - RKeyboard to listen to. A new one is
+ * created if not set.
+ * @param {Number} [opt.maxLength] - Number of digits after which the value is
+ * submitted. No maximum if not set.
+ * @param {Number} [opt.timeout=2000] - Time, in ms, after the last digit
+ * after which the value is submitted. 0 to only submit through 'Enter' or
+ * the maximum length (e.g. for PIN codes).
+ * @param {string} [opt.mask] - Character displayed instead of the digits.
+ * @param {string} [opt.placeholder='_'] - Character displayed for each digit
+ * still expected.
+ * @param {Function} [opt.validate] - Called with the value submitted.
+ * Returns (or resolves with) true to accept it, false to refuse it.
+ * @param {Number} [opt.maxAttempts] - Number of values refused after which
+ * the entry is locked. No maximum if not set.
+ * @param {string|null} [opt.layer] - Modal layer of the keyboard the entry
+ * belongs to. The current top one by default.
+ * @param {Object} [opt.scheduler] - See scheduler.js
+ * @param {Function} [opt.onProgress]
+ * @param {Function} [opt.onValue]
+ * @param {Function} [opt.onInvalid]
+ * @param {Function} [opt.onLocked]
+ * @param {Function} [opt.onEvent] - Called for every event.
+ * @returns {Object}
+ *
+ * @example
+ * ```js
+ * const keyboard = RKeyboard();
+ *
+ * // channel zapping
+ * const zapping = createNumericEntry({
+ *   keyboard,
+ *   maxLength: 3,
+ *   onProgress: (e) => showChannelNumber(e.display.join(' ')), // '1 2 _'
+ *   onValue: (e) => zapTo(+e.value)
+ * });
+ *
+ * // PIN code, 3 tries
+ * keyboard.pushLayer('pin');
+ * const pin = createNumericEntry({
+ *   keyboard,
+ *   maxLength: 4,
+ *   timeout: 0,
+ *   mask: '*',
+ *   maxAttempts: 3,
+ *   validate: (value) => checkPin(value), // can return a Promise
+ *   onEvent: (e) => renderPin(e.display),
+ *   onValue: () => unlockContent(),
+ *   onLocked: () => showLockedMessage()
+ * });
+ * ```
+ */
+export default (opt = {}) => {
+  const keyboard = opt.keyboard || RKeyboard();
+
+  const scheduler = getScheduler(opt.scheduler);
+
+  const maxLength = opt.maxLength > 0 ? opt.maxLength : null;
+
+  const timeout = isSet(opt.timeout) ? opt.timeout :
+                                       DEFAULT_NUMERIC_ENTRY_TIMEOUT;
+
+  const placeholder = isSet(opt.placeholder) ?
+    opt.placeholder : DEFAULT_NUMERIC_ENTRY_PLACEHOLDER;
+
+  // digits typed until now
+  let value = '';
+
+  // number of values refused until now
+  let attempts = 0;
+
+  // true when the maximum number of attempts is reached
+  let isLocked = false;
+
+  // true while a value is being validated (asynchronously)
+  let isValidating = false;
+
+  // incremented on each clear, so that a pending validation of a value
+  // cleared meanwhile is ignored once resolved
+  let generation = 0;
+
+  // setTimeout's ID for submitting the value
+  let timeoutId = null;
+
+  /**
+   * 'Enter' and 'Back' listens, only done while digits are being typed.
+   * @type Array.<Object>
+   */
+  let editBindings = [];
+
+  const getDisplay = () => {
+    const display = value.split('').map(digit => opt.mask || digit);
+    if (maxLength) {
+      while (display.length < maxLength) {
+        display.push(placeholder);
+      }
+    }
+    return display;
+  };
+
+  const emit = (event) => {
+    const evt = { event, value, display: getDisplay(), attempts };
+    const callback = { progress: opt.onProgress,
+                       value: opt.onValue,
+                       invalid: opt.onInvalid,
+                       locked: opt.onLocked }[event];
+    if (callback) {
+      callback(evt);
+    }
+    if (opt.onEvent) {
+      opt.onEvent(evt);
+    }
+  };
+
+  const clearSubmitTimeout = () => {
+    scheduler.clearTimeout(timeoutId);
+    timeoutId = null;
+  };
+
+  const stopEditing = () => {
+    editBindings.forEach(binding => binding.unbind());
+    editBindings = [];
+  };
+
+  /**
+   * Forget the digits typed, without sending any event. A pending validation
+   * is ignored.
+   */
+  const clear = () => {
+    clearSubmitTimeout();
+    stopEditing();
+    value = '';
+    isValidating = false;
+    generation++;
+  };
+
+  /**
+   * Send the right events for the result of the validation of the value
+   * submitted, then clear it.
+   * @param {Boolean} isValid
+   */
+  const onValidated = (isValid) => {
+    isValidating = false;
+    if (isValid) {
+      emit('value');
+    } else {
+      attempts++;
+      isLocked = isSet(opt.maxAttempts) && attempts >= opt.maxAttempts;
+      emit(isLocked ? 'locked' : 'invalid');
+    }
+    clear();
+  };
+
+  /**
+   * Submit the digits typed, if any.
+   */
+  const submit = () => {
+    if (!value.length || isValidating) {
+      return;
+    }
+    clearSubmitTimeout();
+    stopEditing();
+
+    if (!opt.validate) {
+      onValidated(true);
+      return;
+    }
+
+    const result = opt.validate(value);
+    if (result && typeof result.then === 'function') {
+      isValidating = true;
+      const validated = generation;
+      const onResult = (isValid) => {
+        if (validated === generation) {
+          onValidated(isValid);
+        }
+      };
+      result.then(isValid => onResult(!!isValid), () => onResult(false));
+    } else {
+      onValidated(!!result);
+    }
+  };
+
+  const scheduleSubmit = () => {
+    clearSubmitTimeout();
+    if (timeout > 0) {
+      timeoutId = scheduler.setTimeout(submit, timeout);
+    }
+  };
+
+  const deleteDigit = () => {
+    if (isValidating) {
+      return;
+    }
+    value = value.slice(0, -1);
+    if (value.length) {
+      scheduleSubmit();
+    } else {
+      clear();
+    }
+    emit('progress');
+  };
+
+  const startEditing = () => {
+    editBindings = [
+      keyboard.listen('Enter', {
+        propagate: false,
+        layer: opt.layer,
+        label: 'numeric entry',
+        onPush: submit
+      }),
+      keyboard.listen('Back', {
+        propagate: false,
+        layer: opt.layer,
+        label: 'numeric entry',
+        onPush: deleteDigit
+      })
+    ];
+  };
+
+  const onDigitPush = ({ keyName }) => {
+    if (isLocked || isValidating) {
+      return;
+    }
+    if (!value.length) {
+      startEditing();
+    }
+    value += keyName.replace(/^Num/, '');
+    emit('progress');
+
+    if (maxLength && value.length >= maxLength) {
+      submit();
+    } else {
+      scheduleSubmit();
+    }
+  };
+
+  const digitsBinding = keyboard.listen('Nums', {
+    propagate: false,
+    layer: opt.layer,
+    label: 'numeric entry',
+    onPush: onDigitPush
+  });
+
+  return {
+    /**
+     * Returns the digits typed until now.
+     * @returns {string}
+     */
+    getValue() {
+      return value;
+    },
+
+    /**
+     * Returns the number of values refused until now.
+     * @returns {Number}
+     */
+    getAttempts() {
+      return attempts;
+    },
+
+    /**
+     * Returns true if the maximum number of attempts is reached.
+     * @returns {Boolean}
+     */
+    isLocked() {
+      return isLocked;
+    },
+
+    submit,
+
+    clear,
+
+    /**
+     * Accept digits again once locked, with no attempt made.
+     */
+    unlock() {
+      isLocked = false;
+      attempts = 0;
+    },
+
+    /**
+     * Stop reacting to the keys until resume is called. The digits typed
+     * are forgotten.
+     */
+    pause() {
+      clear();
+      digitsBinding.pause();
+    },
+
+    resume() {
+      digitsBinding.resume();
+    },
+
+    /**
+     * Stop listening to the keys. The digits typed are forgotten.
+     * The keyboard is freed if it was created by the entry.
+     */
+    destroy() {
+      clear();
+      digitsBinding.unbind();
+      if (!opt.keyboard) {
+        keyboard.free();
+      }
+    }
+  };
+};
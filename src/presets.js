@@ -0,0 +1,297 @@
+/**
+ * This file defines key map presets for common TV and set-top box platforms.
+ *
+ * Each preset is an object with the same properties than the corresponding
+ * keyboard options:
+ *   - keyMap: keyCode -> key name
+ *   - codeMap: code -> key name
+ *   - keyValueMap: key value -> key name
+ *   - groupings: grouping name -> key names
+ *
+ * Remote keys share the same key names on every platform:
+ *   - 'Red', 'Green', 'Yellow', 'Blue' (grouped as 'ColorKeys')
+ *   - 'Play', 'Pause', 'PlayPause', 'Stop', 'FastForward', 'Rewind', 'Next',
+ *     'Previous', 'Record' (grouped as 'MediaKeys', when available)
+ *   - 'ChannelUp', 'ChannelDown' (grouped as 'ChannelKeys')
+ *   - 'Back', 'Exit', 'Info', 'Guide', 'Menu'
+ * Navigation and digit keys keep their usual names ('Up', 'Enter', 'Num1'...).
+ */
+
+import isSet from './misc/isSet.js';
+import defaultConfig from './config.js';
+
+/**
+ * keyCodes common to every remote: directions, Enter and digits.
+ * @type Object
+ */
+const NAVIGATION_KEY_MAP = {
+  13: 'Enter',
+  37: 'Left',
+  38: 'Up',
+  39: 'Right',
+  40: 'Down',
+  48: 'Num0',
+  49: 'Num1',
+  50: 'Num2',
+  51: 'Num3',
+  52: 'Num4',
+  53: 'Num5',
+  54: 'Num6',
+  55: 'Num7',
+  56: 'Num8',
+  57: 'Num9'
+};
+
+/**
+ * Virtual keyCodes (VK_ constants) defined by the OIPF specification and used
+ * by HbbTV terminals. Most TV platforms are based on them.
+ * @type Object
+ */
+const VK_KEY_MAP = Object.assign({}, NAVIGATION_KEY_MAP, {
+  19: 'Pause', // VK_PAUSE
+  33: 'PageUp', // VK_PAGE_UP
+  34: 'PageDown', // VK_PAGE_DOWN
+  403: 'Red', // VK_RED
+  404: 'Green', // VK_GREEN
+  405: 'Yellow', // VK_YELLOW
+  406: 'Blue', // VK_BLUE
+  412: 'Rewind', // VK_REWIND
+  413: 'Stop', // VK_STOP
+  415: 'Play', // VK_PLAY
+  416: 'Record', // VK_RECORD
+  417: 'FastForward', // VK_FAST_FWD
+  424: 'Previous', // VK_TRACK_PREV
+  425: 'Next', // VK_TRACK_NEXT
+  427: 'ChannelUp', // VK_CHANNEL_UP
+  428: 'ChannelDown', // VK_CHANNEL_DOWN
+  457: 'Info', // VK_INFO
+  458: 'Guide', // VK_GUIDE
+  461: 'Back' // VK_BACK
+});
+
+/**
+ * Key values, as defined by the UI Events specification, sent by remote keys
+ * on the most recent platforms.
+ * @type Object
+ */
+const REMOTE_KEY_VALUE_MAP = {
+  ArrowLeft: 'Left',
+  ArrowUp: 'Up',
+  ArrowRight: 'Right',
+  ArrowDown: 'Down',
+  Enter: 'Enter',
+  0: 'Num0',
+  1: 'Num1',
+  2: 'Num2',
+  3: 'Num3',
+  4: 'Num4',
+  5: 'Num5',
+  6: 'Num6',
+  7: 'Num7',
+  8: 'Num8',
+  9: 'Num9',
+  ColorF0Red: 'Red',
+  ColorF1Green: 'Green',
+  ColorF2Yellow: 'Yellow',
+  ColorF3Blue: 'Blue',
+  MediaPlay: 'Play',
+  MediaPause: 'Pause',
+  MediaPlayPause: 'PlayPause',
+  MediaStop: 'Stop',
+  MediaFastForward: 'FastForward',
+  MediaRewind: 'Rewind',
+  MediaTrackNext: 'Next',
+  MediaTrackPrevious: 'Previous',
+  MediaRecord: 'Record',
+  ChannelUp: 'ChannelUp',
+  ChannelDown: 'ChannelDown',
+  GoBack: 'Back',
+  BrowserBack: 'Back',
+  Exit: 'Exit',
+  Info: 'Info',
+  Guide: 'Guide',
+  ContextMenu: 'Menu'
+};
+
+/**
+ * Groupings of every preset. Groupings referencing key names a preset does
+ * not know are filtered out by createPreset.
+ * @type Object
+ */
+const REMOTE_GROUPINGS = {
+  Nums: defaultConfig.GROUPINGS.Nums,
+  Directions: defaultConfig.GROUPINGS.Directions,
+  ColorKeys: [
+    'Red',
+    'Green',
+    'Yellow',
+    'Blue'
+  ],
+  MediaKeys: [
+    'Play',
+    'Pause',
+    'PlayPause',
+    'Stop',
+    'FastForward',
+    'Rewind',
+    'Next',
+    'Previous',
+    'Record'
+  ],
+  ChannelKeys: [
+    'ChannelUp',
+    'ChannelDown'
+  ]
+};
+
+/**
+ * Construct a preset from its maps, and deduce its groupings.
+ * @param {Object} maps
+ * @param {Object} [maps.keyMap]
+ * @param {Object} [maps.codeMap]
+ * @param {Object} [maps.keyValueMap]
+ * @returns {Object}
+ */
+const createPreset = ({ keyMap = {}, codeMap = {}, keyValueMap = {} }) => {
+  const keyNames = Object.values(keyMap)
+    .concat(Object.values(codeMap))
+    .concat(Object.values(keyValueMap));
+
+  const groupings = Object.keys(REMOTE_GROUPINGS)
+    .reduce((acc, groupName) => {
+      const group = REMOTE_GROUPINGS[groupName]
+        .filter(keyName => keyNames.includes(keyName));
+      if (group.length) {
+        acc[groupName] = group;
+      }
+      return acc;
+    }, {});
+
+  return { keyMap, codeMap, keyValueMap, groupings };
+};
+
+/**
+ * Every preset available, by name.
+ * @type Object
+ */
+const PRESETS = {
+  hbbtv: createPreset({
+    keyMap: VK_KEY_MAP,
+    keyValueMap: REMOTE_KEY_VALUE_MAP
+  }),
+
+  tizen: createPreset({
+    keyMap: Object.assign({}, VK_KEY_MAP, {
+      10009: 'Back', // XF86Back
+      10182: 'Exit', // XF86Exit
+      10252: 'PlayPause', // MediaPlayPause
+      10232: 'Previous', // MediaTrackPrevious
+      10233: 'Next', // MediaTrackNext
+      10073: 'ChannelList', // ChannelList
+      10133: 'Menu' // Menu
+    }),
+    keyValueMap: Object.assign({}, REMOTE_KEY_VALUE_MAP, {
+      XF86Back: 'Back',
+      XF86Exit: 'Exit'
+    })
+  }),
+
+  webos: createPreset({
+    keyMap: Object.assign({}, VK_KEY_MAP, {
+      // webOS remotes send the page keyCodes for the channel keys
+      33: 'ChannelUp',
+      34: 'ChannelDown'
+    }),
+    keyValueMap: REMOTE_KEY_VALUE_MAP
+  }),
+
+  androidtv: createPreset({
+    keyMap: Object.assign({}, NAVIGATION_KEY_MAP, {
+      4: 'Back', // KEYCODE_BACK
+      23: 'Enter', // KEYCODE_DPAD_CENTER
+      166: 'ChannelUp', // KEYCODE_CHANNEL_UP
+      167: 'ChannelDown', // KEYCODE_CHANNEL_DOWN
+      176: 'Next', // MediaTrackNext
+      177: 'Previous', // MediaTrackPrevious
+      178: 'Stop', // MediaStop
+      179: 'PlayPause' // MediaPlayPause
+    }),
+    codeMap: {
+      ArrowLeft: 'Left',
+      ArrowUp: 'Up',
+      ArrowRight: 'Right',
+      ArrowDown: 'Down',
+      Enter: 'Enter',
+      NumpadEnter: 'Enter',
+      MediaPlayPause: 'PlayPause',
+      MediaStop: 'Stop',
+      MediaTrackNext: 'Next',
+      MediaTrackPrevious: 'Previous',
+      BrowserBack: 'Back'
+    },
+    keyValueMap: REMOTE_KEY_VALUE_MAP
+  })
+};
+
+/**
+ * Guess the preset corresponding to the current platform from its user
+ * agent.
+ * Returns null if the platform is not recognized or if no user agent is
+ * available.
+ * @param {string} [userAgent] - Defaults to the user agent of the current
+ * navigator.
+ * @returns {string|null} - Name of the preset.
+ */
+const detectPreset = (userAgent) => {
+  const ua = isSet(userAgent) ? userAgent :
+    (typeof navigator !== 'undefined' && navigator.userAgent) || '';
+
+  // Tizen and webOS user agents usually also contain the HbbTV token, they
+  // have to be checked first.
+  if (/Tizen/i.test(ua)) {
+    return 'tizen';
+  }
+  if (/Web0S|webOS/i.test(ua)) {
+    return 'webos';
+  }
+  if (/Android/i.test(ua) && /\bTV\b|AFT|BRAVIA|SHIELD/i.test(ua)) {
+    return 'androidtv';
+  }
+  if (/HbbTV/i.test(ua)) {
+    return 'hbbtv';
+  }
+  return null;
+};
+
+/**
+ * Returns the preset object from the value of a `preset` option:
+ *   - a preset name returns the corresponding preset.
+ *   - 'auto' returns the detected preset, if one is detected.
+ *   - a preset object is returned as is.
+ * Returns null if no preset should be used.
+ * @param {string|Object} [preset]
+ * @returns {Object|null}
+ */
+const getPreset = (preset) => {
+  if (!isSet(preset)) {
+    return null;
+  }
+  if (typeof preset === 'object') {
+    return preset;
+  }
+
+  const presetName = preset === 'auto' ? detectPreset() : preset;
+  if (!isSet(presetName)) {
+    return null;
+  }
+  if (!PRESETS.hasOwnProperty(presetName)) {
+    throw new Error(`RKeyboard: unknown preset "${presetName}"`);
+  }
+  return PRESETS[presetName];
+};
+
+export {
+  PRESETS,
+  detectPreset,
+  getPreset
+};
@@ -0,0 +1,39 @@
+/**
+ * This file defines the default scheduler.
+ *
+ * A scheduler is an object regrouping every timing functions used by the
+ * library:
+ *   - setTimeout(callback, delay) / clearTimeout(id)
+ *   - setInterval(callback, delay) / clearInterval(id)
+ *   - now(): the current time, in ms (only differences between two values
+ *     are considered).
+ *
+ * Another scheduler can be given to createKeyboard, KeyCatcher and
+ * GamepadAdapter through their `scheduler` option (e.g. a fake clock in tests
+ * or a scheduler throttling timers on low-end devices).
+ */
+
+/**
+ * Default scheduler, relying on the builtin timers and on performance.now.
+ *
+ * The builtins are only retrieved when called, so they can still be replaced
+ * afterwards.
+ * @type Object
+ */
+const DEFAULT_SCHEDULER = {
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: (id) => clearInterval(id),
+  now: () => performance.now()
+};
+
+/**
+ * Returns the scheduler to use from the given one: missing functions are
+ * taken from the default scheduler.
+ * @param {Object} [scheduler]
+ * @returns {Object}
+ */
+export default (scheduler) => scheduler ?
+  Object.assign({}, DEFAULT_SCHEDULER, scheduler) :
+  DEFAULT_SCHEDULER;
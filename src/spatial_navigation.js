@@ -0,0 +1,496 @@
+/**
+ * This file defines a spatial navigation: a focus manager moving the focus
+ * between DOM elements according to their position on the screen, through
+ * the direction keys.
+ *
+ * It is built on top of a RKeyboard, listening to the 'Directions' grouping
+ * (focus moves on push, then on each press event while the key is held) and
+ * to the 'Enter' key (activates the focused element). Its listens follow the
+ * keyboard rules like any other: a navigation created after a modal layer
+ * was pushed only works while that layer is on top, trapping the focus
+ * inside it.
+ *
+ * The element reached when going in a direction is the nearest one in that
+ * direction:
+ *   - only elements entirely beyond the focused one in that direction are
+ *     considered, and only those aligned with it as much as the `overlap`
+ *     rule asks:
+ *       - 'any': every element is considered.
+ *       - 'partial': elements have to overlap the focused one on the other
+ *         axis (e.g. be on the same row when going left or right).
+ *       - 'full': one of both elements has to fully overlap the other on the
+ *         other axis.
+ *   - the distance is the gap along the direction, plus five times the gap on
+ *     the other axis (0 for overlapping elements).
+ *
+ * Elements can be regrouped in containers (DOM elements containing them),
+ * with their own rules. The focus first moves inside the container of the
+ * focused element, then outside of it if nothing was found (unless the
+ * container traps the focus).
+ */
+
+import isSet from './misc/isSet.js';
+import RKeyboard from './implementations/default.js';
+import defaultConfig from './config.js';
+
+const { DEFAULT_NAVIGATION_PRESS,
+        DEFAULT_NAVIGATION_OVERLAP } = defaultConfig;
+
+/**
+ * For each direction: the axis it follows and whether it goes toward the
+ * start (-1) or the end (1) of that axis.
+ * @type Object
+ */
+const DIRECTIONS = {
+  Up: { axis: 'y', sign: -1 },
+  Down: { axis: 'y', sign: 1 },
+  Left: { axis: 'x', sign: -1 },
+  Right: { axis: 'x', sign: 1 }
+};
+
+/**
+ * Weight of the gap on the other axis, compared to the gap along the
+ * direction, when computing the distance between two elements.
+ * @type Number
+ */
+const CROSS_AXIS_WEIGHT = 5;
+
+/**
+ * Margin, in px, under which two elements are still considered side by side
+ * even if they slightly overlap.
+ * @type Number
+ */
+const TOLERANCE = 1;
+
+/**
+ * Returns the start and end of the given rectangle on the given axis.
+ * @param {Object} rect - As returned by getBoundingClientRect.
+ * @param {string} axis - 'x' or 'y'.
+ * @returns {Array.<Number>}
+ */
+const getExtent = (rect, axis) => axis === 'x' ? [rect.left, rect.right] :
+                                                 [rect.top, rect.bottom];
+
+/**
+ * Returns how much two extents (see getExtent) overlap. Negative if they do
+ * not, in which case it is the opposite of the gap between both.
+ * @param {Array.<Number>} extent1
+ * @param {Array.<Number>} extent2
+ * @returns {Number}
+ */
+const getOverlap = ([start1, end1], [start2, end2]) =>
+  Math.min(end1, end2) - Math.max(start1, start2);
+
+/**
+ * Returns true if the candidate is aligned enough with the focused rectangle
+ * on the given axis, according to the given overlap rule.
+ * @param {Array.<Number>} focusedExtent
+ * @param {Array.<Number>} candidateExtent
+ * @param {string} overlap - 'any', 'partial' or 'full'.
+ * @returns {Boolean}
+ */
+const isAligned = (focusedExtent, candidateExtent, overlap) => {
+  const overlapSize = getOverlap(focusedExtent, candidateExtent);
+  switch (overlap) {
+    case 'partial':
+      return overlapSize > 0;
+    case 'full':
+      return overlapSize >= Math.min(focusedExtent[1] - focusedExtent[0],
+                                     candidateExtent[1] - candidateExtent[0]);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Returns the distance between the centers of two extents.
+ * @param {Array.<Number>} extent1
+ * @param {Array.<Number>} extent2
+ * @returns {Number}
+ */
+const getCenterDistance = (extent1, extent2) =>
+  Math.abs((extent1[0] + extent1[1]) / 2 - (extent2[0] + extent2[1]) / 2);
+
+/**
+ * Returns the candidate with the lowest scores, comparing the first score,
+ * then the second one in case of equality.
+ * @param {Array.<Object>} candidates - Objects with a `scores` property.
+ * @returns {Object|undefined}
+ */
+const getBest = (candidates) => candidates.reduce((best, candidate) => {
+  if (!best ||
+      candidate.scores[0] < best.scores[0] ||
+      (candidate.scores[0] === best.scores[0] &&
+       candidate.scores[1] < best.scores[1])) {
+    return candidate;
+  }
+  return best;
+}, undefined);
+
+/**
+ * Returns the nearest candidate in the given direction.
+ * @param {Object} focusedRect
+ * @param {Array.<Object>} candidates - Objects with a `rect` property.
+ * @param {Object} direction - Element from DIRECTIONS.
+ * @param {string} overlap
+ * @returns {Object|undefined}
+ */
+const findNearest = (focusedRect, candidates, { axis, sign }, overlap) => {
+  const crossAxis = axis === 'x' ? 'y' : 'x';
+  const [focusedStart, focusedEnd] = getExtent(focusedRect, axis);
+  const focusedCross = getExtent(focusedRect, crossAxis);
+
+  return getBest(candidates.reduce((acc, candidate) => {
+    const [start, end] = getExtent(candidate.rect, axis);
+    const cross = getExtent(candidate.rect, crossAxis);
+    const gap = sign > 0 ? start - focusedEnd : focusedStart - end;
+
+    if (gap >= -TOLERANCE && isAligned(focusedCross, cross, overlap)) {
+      const crossGap = Math.max(0, -getOverlap(focusedCross, cross));
+      acc.push({ candidate,
+                 scores: [Math.max(0, gap) + CROSS_AXIS_WEIGHT * crossGap,
+                          getCenterDistance(focusedCross, cross)] });
+    }
+    return acc;
+  }, []));
+};
+
+/**
+ * Returns the candidate reached when wrapping around in the given direction:
+ * the farthest one in the opposite direction.
+ * @param {Object} focusedRect
+ * @param {Array.<Object>} candidates - Objects with a `rect` property.
+ * @param {Object} direction - Element from DIRECTIONS.
+ * @param {string} overlap
+ * @returns {Object|undefined}
+ */
+const findWrapped = (focusedRect, candidates, { axis, sign }, overlap) => {
+  const crossAxis = axis === 'x' ? 'y' : 'x';
+  const focusedCross = getExtent(focusedRect, crossAxis);
+
+  return getBest(candidates.reduce((acc, candidate) => {
+    const [start, end] = getExtent(candidate.rect, axis);
+    const cross = getExtent(candidate.rect, crossAxis);
+    if (isAligned(focusedCross, cross, overlap)) {
+      acc.push({ candidate,
+                 scores: [sign > 0 ? start : -end,
+                          getCenterDistance(focusedCross, cross)] });
+    }
+    return acc;
+  }, []));
+};
+
+/**
+ * Returns the position of the given element on the screen, null if it is not
+ * displayed.
+ * @param {Element} element
+ * @returns {Object|null}
+ */
+const getRect = (element) => {
+  const rect = element.getBoundingClientRect();
+  if (!rect.width && !rect.height) {
+    return null;
+  }
+  return { left: rect.left,
+           top: rect.top,
+           right: rect.left + rect.width,
+           bottom: rect.top + rect.height };
+};
+
+/**
+ * Create a new spatial navigation.
+ * @param {Object} [opt]
+ * @param {Object} [opt.keyboard] - RKeyboard to listen to. A new one is
+ * created if not set.
+ * @param {string} [opt.overlap='any'] - Default overlap rule (see above).
+ * @param {Boolean} [opt.wrap=false] - If true, going in a direction where no
+ * element is found reaches the farthest one in the opposite direction.
+ * @param {Object} [opt.press] - Press rules of the direction keys, see the
+ * press option of the keyboard. Moves are repeated on each press event.
+ * @param {string|null} [opt.layer] - Modal layer of the keyboard the
+ * navigation belongs to. The current top one by default.
+ * @param {Function} [opt.onFocus] - Called with the newly focused element
+ * and the previous one (null if none).
+ * @param {Function} [opt.onActivate] - Called with the focused element when
+ * 'Enter' is pushed, for elements without their own onActivate. Their click
+ * method is called by default.
+ * @returns {Object}
+ *
+ * @example
+ * ```js
+ * const keyboard = RKeyboard();
+ * const nav = createSpatialNavigation({ keyboard, wrap: true });
+ *
+ * document.querySelectorAll('.tile').forEach(tile => nav.add(tile));
+ *
+ * // the rows wrap around, but never let the focus go outside of them
+ * document.querySelectorAll('.row').forEach(row =>
+ *   nav.addContainer(row, { wrap: true, trap: true }));
+ *
+ * nav.focus(document.querySelector('.tile'));
+ *
+ * // a dialog: its navigation is the only one working until it is popped
+ * keyboard.pushLayer('dialog');
+ * const dialogNav = createSpatialNavigation({ keyboard });
+ * dialogNav.add(okButton, { onActivate: closeDialog });
+ * dialogNav.focus(okButton);
+ *
+ * // ...
+ * dialogNav.destroy();
+ * keyboard.popLayer('dialog');
+ * ```
+ */
+export default (opt = {}) => {
+  const keyboard = opt.keyboard || RKeyboard();
+
+  const defaultOverlap = opt.overlap || DEFAULT_NAVIGATION_OVERLAP;
+
+  const defaultWrap = !!opt.wrap;
+
+  /**
+   * Every element which can be focused, in the order they were added.
+   * Example: [{ element: <button>, onActivate: () => {} }]
+   * @type Array.<Object>
+   */
+  const focusables = [];
+
+  /**
+   * Every container, with its rules.
+   * Example: [{ element: <div>, overlap: 'partial', wrap: true, trap: false }]
+   * @type Array.<Object>
+   */
+  const containers = [];
+
+  /**
+   * Element from the focusables array currently focused, null if none.
+   * @type Object|null
+   */
+  let focused = null;
+
+  /**
+   * Returns the containers of the given element, from the innermost one to
+   * the outermost one.
+   * @param {Element} element
+   * @returns {Array.<Object>}
+   */
+  const getContainers = (element) => containers
+    .filter(container => container.element.contains(element))
+    .sort((c1, c2) => c1.element.contains(c2.element) ? 1 : -1);
+
+  /**
+   * Focus the given element from the focusables array.
+   * @param {Object} focusable
+   */
+  const setFocus = (focusable) => {
+    const previous = focused;
+    focused = focusable;
+    if (typeof focusable.element.focus === 'function') {
+      focusable.element.focus();
+    }
+    if (opt.onFocus) {
+      opt.onFocus(focusable.element, previous && previous.element);
+    }
+  };
+
+  /**
+   * Move the focus in the given direction.
+   * If nothing is focused, the top-left element is.
+   * @param {string} directionName - 'Up', 'Down', 'Left' or 'Right'.
+   * @returns {Boolean} - true if the focus moved.
+   */
+  const move = (directionName) => {
+    const direction = DIRECTIONS[directionName];
+    if (!direction) {
+      return false;
+    }
+
+    const displayed = focusables.reduce((acc, focusable) => {
+      const rect = getRect(focusable.element);
+      if (rect) {
+        acc.push({ focusable, rect });
+      }
+      return acc;
+    }, []);
+
+    const focusedRect = focused && getRect(focused.element);
+    if (!focusedRect) {
+      const first = getBest(displayed.map(candidate =>
+        ({ candidate, scores: [candidate.rect.top, candidate.rect.left] })));
+      if (first) {
+        setFocus(first.candidate.focusable);
+        return true;
+      }
+      return false;
+    }
+
+    const candidates = displayed.filter(c => c.focusable !== focused);
+
+    // from the innermost container to the whole navigation (null)
+    const scopes = getContainers(focused.element).concat([null]);
+    for (const scope of scopes) {
+      const overlap = scope && scope.overlap || defaultOverlap;
+      const wrap = scope ? scope.wrap : defaultWrap;
+      const scopeCandidates = scope ?
+        candidates.filter(c => scope.element.contains(c.focusable.element)) :
+        candidates;
+
+      let found = findNearest(focusedRect, scopeCandidates, direction,
+                              overlap);
+      if (!found && wrap) {
+        found = findWrapped(focusedRect, scopeCandidates, direction, overlap);
+      }
+      if (found) {
+        setFocus(found.candidate.focusable);
+        return true;
+      }
+      if (scope && scope.trap) {
+        return false;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Activate the focused element, if one.
+   */
+  const activate = () => {
+    if (!focused) {
+      return;
+    }
+    const { element, onActivate } = focused;
+    if (onActivate) {
+      onActivate(element);
+    } else if (opt.onActivate) {
+      opt.onActivate(element);
+    } else if (typeof element.click === 'function') {
+      element.click();
+    }
+  };
+
+  const directionsBinding = keyboard.listen('Directions', {
+    press: opt.press || DEFAULT_NAVIGATION_PRESS,
+    layer: opt.layer,
+    label: 'spatial navigation',
+    onDown: (evt) => {
+      move(evt.keyName);
+    }
+  });
+
+  const enterBinding = keyboard.listen('Enter', {
+    layer: opt.layer,
+    label: 'spatial navigation',
+    onPush: activate
+  });
+
+  const remove = (element) => {
+    const indexOf = focusables.findIndex(f => f.element === element);
+    if (indexOf >= 0) {
+      if (focusables[indexOf] === focused) {
+        focused = null;
+      }
+      focusables.splice(indexOf, 1);
+    }
+  };
+
+  return {
+    /**
+     * Add an element which can be focused.
+     * @param {Element} element
+     * @param {Object} [options]
+     * @param {Function} [options.onActivate] - Called with the element when
+     * 'Enter' is pushed while it is focused.
+     * @returns {Function} - Remove the element.
+     */
+    add(element, options = {}) {
+      remove(element);
+      focusables.push({ element, onActivate: options.onActivate });
+      return () => remove(element);
+    },
+
+    /**
+     * Remove an element added through add.
+     * @param {Element} element
+     */
+    remove,
+
+    /**
+     * Regroup every element inside the given one, with its own rules.
+     * @param {Element} element
+     * @param {Object} [options]
+     * @param {string} [options.overlap] - Overlap rule inside the container.
+     * The navigation's one by default.
+     * @param {Boolean} [options.wrap=false] - Wrap around inside the
+     * container.
+     * @param {Boolean} [options.trap=false] - If true, the focus never leaves
+     * the container through the direction keys.
+     * @returns {Function} - Remove the container.
+     */
+    addContainer(element, options = {}) {
+      const container = { element,
+                          overlap: options.overlap,
+                          wrap: !!options.wrap,
+                          trap: !!options.trap };
+      containers.push(container);
+      return () => {
+        const indexOf = containers.indexOf(container);
+        if (indexOf >= 0) {
+          containers.splice(indexOf, 1);
+        }
+      };
+    },
+
+    /**
+     * Focus the given element. Does nothing if it was not added.
+     * @param {Element} element
+     * @returns {Boolean} - true if the element is now focused.
+     */
+    focus(element) {
+      const focusable = focusables.find(f => f.element === element);
+      if (!focusable) {
+        return false;
+      }
+      setFocus(focusable);
+      return true;
+    },
+
+    /**
+     * Returns the element currently focused, null if none.
+     * @returns {Element|null}
+     */
+    getFocused() {
+      return focused ? focused.element : null;
+    },
+
+    move,
+
+    activate,
+
+    /**
+     * Stop reacting to the keys until resume is called.
+     */
+    pause() {
+      directionsBinding.pause();
+      enterBinding.pause();
+    },
+
+    resume() {
+      directionsBinding.resume();
+      enterBinding.resume();
+    },
+
+    /**
+     * Stop listening to the keys and forget every element.
+     * The keyboard is freed if it was created by the navigation.
+     */
+    destroy() {
+      directionsBinding.unbind();
+      enterBinding.unbind();
+      if (!isSet(opt.keyboard)) {
+        keyboard.free();
+      }
+      focusables.length = 0;
+      containers.length = 0;
+      focused = null;
+    }
+  };
+};
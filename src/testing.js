@@ -0,0 +1,390 @@
+/**
+ * This file defines helpers to test code relying on a keyboard, without any
+ * real keyboard nor real timers.
+ *
+ * It provides two functions:
+ *
+ *   - createVirtualClock: a clock whose time only goes forward when asked to,
+ *     with its own setTimeout / setInterval functions.
+ *
+ *   - createTestKeyboard: a keyboard listening to a synthetic input source
+ *     and relying on a virtual clock (as its scheduler), with helpers to
+ *     push, hold and release keys as well as assertions on the events sent.
+ *
+ * Those are not test files: they can be used from any test framework. Failed
+ * assertions throw an Error.
+ */
+
+import createKeyboard from './keyboard.js';
+import { createSyntheticSource } from './events.js';
+
+/**
+ * Returns the global object whose timer functions are replaced by the
+ * `install` method of virtual clocks, without relying on a bundler
+ * providing `global`.
+ * @returns {Object}
+ */
+const getGlobalObject = () => {
+  if (typeof globalThis !== 'undefined') {
+    return globalThis;
+  }
+  if (typeof window !== 'undefined') {
+    return window;
+  }
+  return self;
+};
+
+/**
+ * Create a virtual clock.
+ *
+ * Its time starts at 0 and only goes forward through the `advance` method,
+ * which synchronously executes every timer due in the meantime, in order.
+ *
+ * It can be given as the `scheduler` option of createKeyboard, KeyCatcher or
+ * GamepadAdapter.
+ *
+ * For code not accepting a scheduler, `install` replaces the global
+ * setTimeout, clearTimeout, setInterval, clearInterval and performance.now
+ * functions by the clock's ones until `uninstall` is called.
+ * @returns {Object}
+ */
+const createVirtualClock = () => {
+  let currentTime = 0;
+  let lastTimerId = 0;
+
+  /**
+   * Every timer currently scheduled.
+   * @type Array.<Object>
+   */
+  let timers = [];
+
+  /**
+   * Global functions replaced by install, to be restored by uninstall.
+   * @type Object|null
+   */
+  let originals = null;
+
+  const addTimer = (callback, delay, isInterval) => {
+    const id = ++lastTimerId;
+    const wait = Math.max(Number(delay) || 0, isInterval ? 1 : 0);
+    timers.push({ id,
+                  callback,
+                  time: currentTime + wait,
+                  interval: isInterval ? wait : null });
+    return id;
+  };
+
+  const removeTimer = (id) => {
+    timers = timers.filter(timer => timer.id !== id);
+  };
+
+  /**
+   * Returns the next timer to execute before the given time, if one.
+   * @param {Number} maxTime
+   * @returns {Object|undefined}
+   */
+  const getNextTimer = (maxTime) => timers
+    .filter(timer => timer.time <= maxTime)
+    .reduce((next, timer) => {
+      if (!next || timer.time < next.time ||
+          (timer.time === next.time && timer.id < next.id)) {
+        return timer;
+      }
+      return next;
+    }, undefined);
+
+  const clock = {
+    now() {
+      return currentTime;
+    },
+
+    setTimeout(callback, delay) {
+      return addTimer(callback, delay, false);
+    },
+
+    clearTimeout(id) {
+      removeTimer(id);
+    },
+
+    setInterval(callback, delay) {
+      return addTimer(callback, delay, true);
+    },
+
+    clearInterval(id) {
+      removeTimer(id);
+    },
+
+    /**
+     * Make the time go forward, executing every timer due.
+     * @param {Number} ms
+     */
+    advance(ms) {
+      const endTime = currentTime + ms;
+      let timer = getNextTimer(endTime);
+      while (timer) {
+        currentTime = timer.time;
+        if (timer.interval !== null) {
+          timer.time += timer.interval;
+        } else {
+          removeTimer(timer.id);
+        }
+        timer.callback();
+        timer = getNextTimer(endTime);
+      }
+      currentTime = endTime;
+    },
+
+    /**
+     * Returns the number of timers currently scheduled.
+     * @returns {Number}
+     */
+    getPendingTimers() {
+      return timers.length;
+    },
+
+    install() {
+      if (originals) {
+        return;
+      }
+      const root = getGlobalObject();
+      originals = { setTimeout: root.setTimeout,
+                    clearTimeout: root.clearTimeout,
+                    setInterval: root.setInterval,
+                    clearInterval: root.clearInterval,
+                    now: root.performance && root.performance.now };
+
+      root.setTimeout = clock.setTimeout;
+      root.clearTimeout = clock.clearTimeout;
+      root.setInterval = clock.setInterval;
+      root.clearInterval = clock.clearInterval;
+      if (!root.performance) {
+        root.performance = {};
+      }
+      root.performance.now = clock.now;
+    },
+
+    uninstall() {
+      if (!originals) {
+        return;
+      }
+      const root = getGlobalObject();
+      root.setTimeout = originals.setTimeout;
+      root.clearTimeout = originals.clearTimeout;
+      root.setInterval = originals.setInterval;
+      root.clearInterval = originals.clearInterval;
+      root.performance.now = originals.now;
+      originals = null;
+    }
+  };
+  return clock;
+};
+
+/**
+ * Returns a string describing the given event, for error messages.
+ * @param {Object} evt
+ * @returns {string}
+ */
+const describeEvent = ({ event, keyName }) => `${event}:${keyName}`;
+
+/**
+ * Returns true if the given event matches the expected one.
+ * The expected event can be either:
+ *   - a string, 'event:keyName' (e.g. 'press:Right'), or only the event name
+ *     (e.g. 'press').
+ *   - an object, whose every property should be equal to the event's one
+ *     (e.g. { event: 'press', keyName: 'Right', time: 800 }).
+ * @param {Object} evt
+ * @param {string|Object} expected
+ * @returns {Boolean}
+ */
+const matchEvent = (evt, expected) => {
+  if (typeof expected === 'string') {
+    return expected.includes(':') ? describeEvent(evt) === expected :
+                                    evt.event === expected;
+  }
+  return Object.keys(expected).every(prop => evt[prop] === expected[prop]);
+};
+
+/**
+ * Create a keyboard to be used in tests.
+ *
+ * It listens to a synthetic input source, only fed through its helpers, and
+ * relies on a virtual clock given as its scheduler.
+ * Every event sent to its listeners is recorded, with the virtual time at
+ * which it was sent.
+ * @param {Object} [opt] - Options given to createKeyboard.
+ * @returns {Object}
+ *
+ * @example
+ * ```js
+ * const tk = createTestKeyboard();
+ *
+ * tk.listen('Right', { press: { after: 500, interval: 200 } }, moveRight);
+ *
+ * tk.hold('Right', 1000);
+ * tk.release('Right');
+ *
+ * tk.expectEvents(['push:Right',
+ *                  'press:Right', // 500
+ *                  'press:Right', // 700
+ *                  'press:Right', // 900
+ *                  'release:Right']);
+ *
+ * tk.destroy();
+ * ```
+ */
+const createTestKeyboard = (opt = {}) => {
+  const clock = createVirtualClock();
+  const source = createSyntheticSource();
+  const keyboard = createKeyboard(Object.assign({}, opt, {
+    source,
+    scheduler: clock
+  }));
+
+  /**
+   * Every event recorded, in order.
+   * @type Array.<Object>
+   */
+  let events = [];
+
+  /**
+   * Key names currently held through the helpers.
+   * @type Array.<string>
+   */
+  const heldKeys = [];
+
+  const push = (keyName) => {
+    if (!heldKeys.includes(keyName)) {
+      heldKeys.push(keyName);
+      keyboard.simulate(keyName, 'push');
+    }
+  };
+
+  const release = (keyName) => {
+    const index = heldKeys.indexOf(keyName);
+    if (index >= 0) {
+      heldKeys.splice(index, 1);
+      keyboard.simulate(keyName, 'release');
+    }
+  };
+
+  const getEvents = (filter) => filter ?
+    events.filter(evt => matchEvent(evt, filter)) : events.slice();
+
+  return {
+    keyboard,
+    clock,
+
+    // the synthetic source the keyboard listens to, e.g. to give to a
+    // GamepadAdapter
+    source,
+
+    /**
+     * Same as the keyboard's listen method, with every event sent recorded.
+     * Takes the same arguments.
+     * @returns {Function} - Stop listening.
+     */
+    listen(...args) {
+      const callbackIndex = args.findIndex(arg => typeof arg === 'function');
+      const callback = callbackIndex >= 0 ? args[callbackIndex] : null;
+
+      const recordingCallback = function(evt) {
+        events.push(Object.assign({ time: clock.now() }, evt));
+        if (callback) {
+          callback.call(this, evt);
+        }
+      };
+
+      const newArgs = args.slice(0, callbackIndex >= 0 ? callbackIndex :
+                                                         args.length);
+      newArgs.push(recordingCallback);
+      return keyboard.listen(...newArgs);
+    },
+
+    push,
+    release,
+
+    /**
+     * Push the given key (if not already held) and let the given time pass.
+     * @param {string} keyName
+     * @param {Number} ms
+     */
+    hold(keyName, ms) {
+      push(keyName);
+      clock.advance(ms);
+    },
+
+    /**
+     * Push then release the given key.
+     * @param {string} keyName
+     * @param {Number} [ms=0] - Time during which the key is held.
+     */
+    tap(keyName, ms = 0) {
+      push(keyName);
+      clock.advance(ms);
+      release(keyName);
+    },
+
+    /**
+     * Let the given time pass.
+     * @param {Number} ms
+     */
+    advance(ms) {
+      clock.advance(ms);
+    },
+
+    /**
+     * Returns every event recorded, optionally only the ones matching the
+     * given filter (see matchEvent).
+     * @param {string|Object} [filter]
+     * @returns {Array.<Object>}
+     */
+    getEvents,
+
+    /**
+     * Forget every event recorded until now.
+     */
+    clearEvents() {
+      events = [];
+    },
+
+    /**
+     * Throw if the events recorded do not match the expected ones, in order
+     * (see matchEvent for the format of each expected event).
+     * The events recorded are then cleared.
+     * @param {Array.<string|Object>} expected
+     */
+    expectEvents(expected) {
+      const matches = expected.length === events.length &&
+        expected.every((exp, i) => matchEvent(events[i], exp));
+      if (!matches) {
+        const received = events.map(describeEvent).join(', ');
+        const wanted = expected
+          .map(exp => typeof exp === 'string' ? exp : JSON.stringify(exp))
+          .join(', ');
+        throw new Error(`Expected events [${wanted}] but got [${received}]`);
+      }
+      events = [];
+    },
+
+    /**
+     * Throw if any event was recorded.
+     */
+    expectNoEvents() {
+      if (events.length) {
+        const received = events.map(describeEvent).join(', ');
+        throw new Error(`Expected no event but got [${received}]`);
+      }
+    },
+
+    /**
+     * Release every key held and close the keyboard.
+     */
+    destroy() {
+      heldKeys.slice().forEach(release);
+      keyboard.close();
+    }
+  };
+};
+
+export { createTestKeyboard, createVirtualClock };
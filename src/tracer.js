@@ -0,0 +1,144 @@
+/**
+ * This file defines the tracer, recording each step of the path taken by key
+ * events, to understand why a key did (or did not) reach a listener.
+ *
+ * A tracer is given to createKeyboard or KeyCatcher through their `tracer`
+ * option. Each step is then sent to the tracer's sink as a record, with:
+ *   - time {Number}: when it happened (see the scheduler option).
+ *   - step {string}: what happened, one of:
+ *       - 'source:keydown' / 'source:keyup': a key event was received from
+ *         the input source (events.js).
+ *       - 'catcher:dispatch': a key event is dispatched to the callbacks
+ *         which receive it, the others being shadowed (key_catcher.js).
+ *       - 'catcher:stopPropagation': a callback stopped the propagation of a
+ *         key event (key_catcher.js).
+ *       - 'keyboard:timer': press timers were started or cleared
+ *         (keyboard.js).
+ *       - 'keyboard:event': an event (push, press, release...) was sent to a
+ *         listener (keyboard.js).
+ *   - the data specific to that step (key name, binding ids...).
+ *
+ * Tracing costs nothing when disabled: a tracer can be given to every
+ * keyboard and only be enabled when needed, at runtime.
+ */
+
+import getScheduler from './scheduler.js';
+
+/**
+ * Default number of records kept by the 'array' sink.
+ * @type Number
+ */
+const DEFAULT_RECORDS_LIMIT = 1000;
+
+/**
+ * Create a new tracer.
+ * @param {Object} [opt]
+ * @param {string|Function} [opt.sink='console'] - Where records are sent:
+ *   - 'console': logged through console.log.
+ *   - 'array': kept in memory, see getRecords.
+ *   - a function: called with each record.
+ * @param {Boolean} [opt.enabled=true] - If false, nothing is recorded until
+ * enable is called.
+ * @param {Number} [opt.limit=1000] - Maximum number of records kept by the
+ * 'array' sink (the oldest are forgotten first).
+ * @param {Object} [opt.scheduler] - See scheduler.js
+ * @returns {Object}
+ *
+ * @example
+ * ```js
+ * const tracer = createTracer({ sink: 'array', enabled: false });
+ * const keyboard = createKeyboard({ tracer });
+ *
+ * // later, e.g. from a remote console
+ * tracer.enable();
+ * // ... push some keys ...
+ * tracer.disable();
+ * console.log(JSON.stringify(tracer.getRecords()));
+ * ```
+ */
+export default (opt = {}) => {
+  const scheduler = getScheduler(opt.scheduler);
+  const limit = opt.limit > 0 ? opt.limit : DEFAULT_RECORDS_LIMIT;
+
+  let sink = opt.sink || 'console';
+  let isEnabled = opt.enabled !== false;
+
+  /**
+   * Records kept by the 'array' sink.
+   * @type Array.<Object>
+   */
+  let records = [];
+
+  /**
+   * Send a record to the current sink.
+   * @param {Object} record
+   */
+  const send = (record) => {
+    if (typeof sink === 'function') {
+      sink(record);
+    } else if (sink === 'array') {
+      records.push(record);
+      if (records.length > limit) {
+        records.splice(0, records.length - limit);
+      }
+    } else {
+      console.log('[RKeyboard]', record.step, record);
+    }
+  };
+
+  return {
+    /**
+     * Record a step, if the tracer is enabled.
+     * @param {string} step
+     * @param {Object|Function} [data] - Data specific to the step. Can be
+     * a function returning it, only called if the tracer is enabled.
+     */
+    trace(step, data) {
+      if (!isEnabled) {
+        return;
+      }
+      const stepData = typeof data === 'function' ? data() : data;
+      send(Object.assign({ time: scheduler.now(), step }, stepData));
+    },
+
+    /**
+     * Returns true if steps are currently recorded.
+     * @returns {Boolean}
+     */
+    isEnabled() {
+      return isEnabled;
+    },
+
+    enable() {
+      isEnabled = true;
+    },
+
+    disable() {
+      isEnabled = false;
+    },
+
+    /**
+     * Change where the next records are sent.
+     * @param {string|Function} newSink - See the sink option.
+     */
+    setSink(newSink) {
+      sink = newSink;
+    },
+
+    /**
+     * Returns the records kept by the 'array' sink, from the oldest to the
+     * newest.
+     * @returns {Array.<Object>}
+     */
+    getRecords() {
+      return records.slice();
+    },
+
+    /**
+     * Forget every record kept by the 'array' sink.
+     */
+    clearRecords() {
+      records = [];
+    }
+  };
+};
@@ -0,0 +1,198 @@
+import createKeyboard from '../../src/keyboard.js';
+import listen, { KEYCODES_PUSHED,
+                 createSyntheticSource,
+                 getSource,
+                 pushKey,
+                 unpushKey } from '../../src/events.js';
+
+describe('events', () => {
+  const getKeyName = ({ keyCode }) => keyCode === 38 ? 'Up' : undefined;
+
+  it('should keep track of the keys pushed on each source', () => {
+    const source = createSyntheticSource();
+    const listener = listen(getKeyName, { source });
+    const onKeyDown = jasmine.createSpy('onKeyDown');
+    listener.on('keydown', onKeyDown);
+
+    source.push({ keyCode: 38 });
+    expect(onKeyDown).toHaveBeenCalledTimes(1);
+    expect(listener.getPushedKeys()).toEqual([38]);
+    expect(KEYCODES_PUSHED).toEqual([]);
+
+    source.release({ keyCode: 38 });
+    expect(listener.getPushedKeys()).toEqual([]);
+    listener.close();
+  });
+
+  it('should still expose the keyCodes pushed on the default source', () => {
+    const listener = listen(getKeyName);
+    listener.on('keydown', () => {});
+
+    pushKey({ keyCode: 38, key: 'ArrowUp', code: 'ArrowUp' });
+    pushKey({ key: 'Unidentified', code: 'F24' });
+    expect(KEYCODES_PUSHED).toEqual([38]);
+    expect(listener.getPushedKeys()).toEqual(['ArrowUp', 'F24']);
+
+    unpushKey({ keyCode: 38, key: 'ArrowUp', code: 'ArrowUp' });
+    expect(KEYCODES_PUSHED).toEqual([]);
+    unpushKey({ key: 'Unidentified', code: 'F24' });
+    listener.close();
+  });
+
+  describe('getSource', () => {
+    it('should prefer the source given', () => {
+      const source = createSyntheticSource();
+      expect(getSource({ source, target: {} })).toBe(source);
+    });
+
+    it('should create a source for each target', () => {
+      const source1 = getSource({ target: {} });
+      const source2 = getSource({ target: {} });
+      expect(typeof source1.start).toBe('function');
+      expect(source1).not.toBe(source2);
+    });
+
+    it('should use the default source without a target', () => {
+      expect(getSource({})).toBe(undefined);
+    });
+  });
+
+  describe('with a target', () => {
+    let hasDocument;
+
+    // callbacks added on the document, per event type
+    let documentListeners;
+
+    // <body>
+    //   <div id="player"><button /></div>
+    //   <div id="menu"><my-element> #shadow-root <button /> </my-element></div>
+    // </body>
+    const body = { id: 'body' };
+    const player = { id: 'player', parentNode: body };
+    const playerButton = { id: 'playerButton', parentNode: player };
+    const menu = { id: 'menu', parentNode: body };
+    const host = { id: 'host', parentNode: menu };
+    const shadowRoot = { id: 'shadowRoot', host };
+    const shadowButton = { id: 'shadowButton', parentNode: shadowRoot };
+
+    /**
+     * Send a keyboard event for 'Up' to the document.
+     * @param {string} type - 'keydown' or 'keyup'.
+     * @param {Object} target - Element focused.
+     * @param {Boolean} [isComposed] - Give a composedPath method, as
+     * browsers do, instead of relying on the parents.
+     */
+    const dispatch = (type, target, isComposed) => {
+      const evt = { keyCode: 38, key: 'ArrowUp', code: 'ArrowUp', target };
+      if (isComposed) {
+        const path = [];
+        for (let node = target; node; node = node.parentNode || node.host) {
+          path.push(node);
+        }
+        evt.composedPath = () => path;
+
+        // events coming from a shadow DOM are retargeted to its host
+        evt.target = path.includes(host) ? host : target;
+      }
+      (documentListeners[type] || []).forEach(callback => callback(evt));
+    };
+
+    const tap = (target, isComposed) => {
+      dispatch('keydown', target, isComposed);
+      dispatch('keyup', target, isComposed);
+    };
+
+    beforeEach(() => {
+      hasDocument = typeof document !== 'undefined';
+      if (!hasDocument) {
+        globalThis.document = { addEventListener() {},
+                                removeEventListener() {} };
+      }
+
+      documentListeners = {};
+      spyOn(document, 'addEventListener').and.callFake((type, callback) => {
+        documentListeners[type] = (documentListeners[type] || [])
+          .concat([callback]);
+      });
+      spyOn(document, 'removeEventListener')
+        .and.callFake((type, callback) => {
+          documentListeners[type] = (documentListeners[type] || [])
+            .filter(cb => cb !== callback);
+        });
+    });
+
+    afterEach(() => {
+      if (!hasDocument) {
+        delete globalThis.document;
+      }
+    });
+
+    it('should only receive the keys pushed inside the target', () => {
+      const keyboard = createKeyboard({ target: player });
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen('Up', spy);
+
+      tap(playerButton);
+      expect(spy.calls.allArgs().map(([evt]) => evt.event))
+        .toEqual(['push', 'release']);
+
+      tap(menu);
+      expect(spy).toHaveBeenCalledTimes(2);
+      keyboard.close();
+      expect(documentListeners.keydown).toEqual([]);
+    });
+
+    it('should release a key pushed inside once the focus left', () => {
+      const keyboard = createKeyboard({ target: player });
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen('Up', spy);
+
+      dispatch('keydown', playerButton);
+      dispatch('keyup', menu);
+      expect(spy.calls.allArgs().map(([evt]) => evt.event))
+        .toEqual(['push', 'release']);
+      keyboard.close();
+    });
+
+    it('should receive the keys pushed inside a shadow root', () => {
+      const keyboard = createKeyboard({ target: menu });
+      const shadowKeyboard = createKeyboard({ target: shadowRoot });
+      const spy = jasmine.createSpy('spy');
+      const shadowSpy = jasmine.createSpy('shadowSpy');
+      keyboard.listen('Up', spy);
+      shadowKeyboard.listen('Up', shadowSpy);
+
+      // through composedPath, then through the parents and hosts
+      tap(shadowButton, true);
+      tap(shadowButton);
+      expect(spy).toHaveBeenCalledTimes(4);
+      expect(shadowSpy).toHaveBeenCalledTimes(4);
+
+      // the host itself is not inside its shadow root
+      tap(host, true);
+      expect(spy).toHaveBeenCalledTimes(6);
+      expect(shadowSpy).toHaveBeenCalledTimes(4);
+      keyboard.close();
+      shadowKeyboard.close();
+    });
+
+    it('should keep keyboards on different targets isolated', () => {
+      const playerKeyboard = createKeyboard({ target: player });
+      const menuKeyboard = createKeyboard({ target: menu });
+      const playerSpy = jasmine.createSpy('playerSpy');
+      const menuSpy = jasmine.createSpy('menuSpy');
+      playerKeyboard.listen('Up', playerSpy);
+      menuKeyboard.listen('Up', menuSpy);
+
+      tap(playerButton);
+      expect(playerSpy).toHaveBeenCalledTimes(2);
+      expect(menuSpy).not.toHaveBeenCalled();
+
+      tap(shadowButton, true);
+      expect(playerSpy).toHaveBeenCalledTimes(2);
+      expect(menuSpy).toHaveBeenCalledTimes(2);
+      playerKeyboard.close();
+      menuKeyboard.close();
+    });
+  });
+});
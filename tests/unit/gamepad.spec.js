@@ -0,0 +1,132 @@
+import GamepadAdapter from '../../src/gamepad.js';
+import { createTestKeyboard } from '../../src/testing.js';
+
+describe('GamepadAdapter', () => {
+  let tk;
+  let gamepad;
+  let gamepads;
+  let originalNavigator;
+
+  /**
+   * Returns a gamepad in the state given.
+   * @param {Object} [state]
+   * @param {Array.<Number>} [state.buttons] - Indexes of the buttons pushed.
+   * @param {Array.<Number>} [state.axes] - Value of each axis.
+   * @returns {Object}
+   */
+  const createGamepad = ({ buttons = [], axes = [0, 0, 0, 0] } = {}) => {
+    const allButtons = [];
+    for (let i = 0; i < 17; i++) {
+      const pressed = buttons.includes(i);
+      allButtons.push({ pressed, value: pressed ? 1 : 0 });
+    }
+    return { index: 0, connected: true, buttons: allButtons, axes };
+  };
+
+  beforeEach(() => {
+    // Node has no Gamepad API, browsers have no gamepad connected
+    originalNavigator = Object.getOwnPropertyDescriptor(global, 'navigator');
+    gamepads = [createGamepad()];
+    Object.defineProperty(global, 'navigator', {
+      value: { getGamepads: () => gamepads },
+      configurable: true,
+      writable: true
+    });
+
+    tk = createTestKeyboard();
+    gamepad = GamepadAdapter({ source: tk.source, scheduler: tk.clock });
+    tk.listen(['Directions', 'Enter'], () => {});
+    gamepad.start();
+  });
+
+  afterEach(() => {
+    gamepad.stop();
+    tk.destroy();
+    if (originalNavigator) {
+      Object.defineProperty(global, 'navigator', originalNavigator);
+    } else {
+      delete global.navigator;
+    }
+  });
+
+  it('should send the buttons pushed and released', () => {
+    gamepads = [createGamepad({ buttons: [12] })];
+    tk.advance(16);
+    gamepads = [createGamepad()];
+    tk.advance(16);
+    tk.expectEvents([{ event: 'push',
+                       keyName: 'Up',
+                       keyCode: null,
+                       code: 'Gamepad0Button12',
+                       time: 16 },
+                     { event: 'release', keyName: 'Up', time: 32 }]);
+  });
+
+  it('should send an axis going from one side to the other', () => {
+    gamepads = [createGamepad({ axes: [-0.8, 0, 0, 0] })];
+    tk.advance(16);
+    gamepads = [createGamepad({ axes: [0.9, 0, 0, 0] })];
+    tk.advance(16);
+    tk.expectEvents([{ event: 'push', code: 'Gamepad0Axis0-' },
+                     'release:Left',
+                     { event: 'push', code: 'Gamepad0Axis0+' }]);
+  });
+
+  it('should ignore values under the threshold', () => {
+    gamepads = [createGamepad({ axes: [0, 0.3, 0, 0] })];
+    tk.advance(100);
+    tk.expectNoEvents();
+  });
+
+  it('should release every input pushed once stopped', () => {
+    gamepads = [createGamepad({ buttons: [0] })];
+    tk.advance(16);
+    gamepad.stop();
+    tk.expectEvents(['push:Enter', 'release:Enter']);
+  });
+
+  it('should send the inputs held before being listened to', () => {
+    const other = createTestKeyboard();
+    const otherGamepad = GamepadAdapter({ source: other.source });
+    gamepads = [createGamepad({ buttons: [0] })];
+
+    // no one listens to that source yet
+    otherGamepad.poll();
+    other.listen('Enter', () => {});
+    otherGamepad.poll();
+    gamepads = [createGamepad()];
+    otherGamepad.poll();
+    other.expectEvents(['push:Enter', 'release:Enter']);
+
+    otherGamepad.stop();
+    other.destroy();
+  });
+
+  it('should send again the inputs held while not listened to', () => {
+    const other = createTestKeyboard();
+    const otherGamepad = GamepadAdapter({ source: other.source });
+    gamepads = [createGamepad({ buttons: [0] })];
+
+    const unbind = other.listen('Enter', () => {});
+    otherGamepad.poll();
+    unbind();
+    otherGamepad.poll();
+    other.listen('Enter', () => {});
+    otherGamepad.poll();
+    other.expectEvents(['push:Enter', 'push:Enter']);
+
+    otherGamepad.stop();
+    other.destroy();
+  });
+
+  it('should only send the inputs to the source given', () => {
+    const other = createTestKeyboard();
+    other.listen(['Directions', 'Enter'], () => {});
+    gamepads = [createGamepad({ buttons: [0] })];
+    tk.advance(16);
+    other.advance(16);
+    other.expectNoEvents();
+    tk.expectEvents(['push:Enter']);
+    other.destroy();
+  });
+});
@@ -0,0 +1,4 @@
+// Every spec file of this directory is included in the tests bundle
+// (see webpack.config.tests.js).
+const specs = require.context("./", true, /\.spec\.js$/);
+specs.keys().forEach(specs);
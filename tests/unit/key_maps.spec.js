@@ -0,0 +1,66 @@
+import { createKeyNameGetter,
+         getKeyInfosFromName,
+         getKeyMaps } from '../../src/key_maps.js';
+
+describe('key maps', () => {
+  const getKeyName = createKeyNameGetter(getKeyMaps({}));
+
+  it('should prefer the code, then the key, then the keyCode', () => {
+    expect(getKeyName({ keyCode: 40, key: 'ArrowLeft', code: 'ArrowUp' }))
+      .toBe('Up');
+    expect(getKeyName({ keyCode: 40, key: 'ArrowLeft', code: 'Unknown' }))
+      .toBe('Left');
+    expect(getKeyName({ keyCode: 40, key: 'Unidentified', code: '' }))
+      .toBe('Down');
+    expect(getKeyName({ keyCode: 40 })).toBe('Down');
+    expect(getKeyName({ keyCode: 1000, key: 'Unidentified' }))
+      .toBe(undefined);
+  });
+
+  it('should name letters after the layout, not the physical key', () => {
+    // 'q' on a QWERTY keyboard, 'a' on an AZERTY one
+    expect(getKeyName({ keyCode: 65, key: 'a', code: 'KeyQ' })).toBe('a');
+    expect(getKeyName({ keyCode: 81, key: 'q', code: 'KeyQ' })).toBe('q');
+
+    // with Shift or Caps Lock
+    expect(getKeyName({ keyCode: 65, key: 'A', code: 'KeyQ' })).toBe('a');
+  });
+
+  it('should name the digits of the numpad and of the top row alike', () => {
+    expect(getKeyName({ keyCode: 97, key: '1', code: 'Numpad1' }))
+      .toBe('Num1');
+    expect(getKeyName({ keyCode: 49, key: '1', code: 'Digit1' }))
+      .toBe('Num1');
+
+    // '&' on an AZERTY keyboard, without Shift
+    expect(getKeyName({ keyCode: 49, key: '&', code: 'Digit1' }))
+      .toBe('Num1');
+
+    // only the numpad tells them apart from the other keys
+    expect(getKeyName({ keyCode: 107, key: '+', code: 'NumpadAdd' }))
+      .toBe('Add');
+  });
+
+  it('should use the key name given as is', () => {
+    expect(getKeyName({ keyName: 'Red', keyCode: 38, code: 'ArrowUp' }))
+      .toBe('Red');
+  });
+
+  it('should not use the default maps next to a custom one', () => {
+    const getCustomKeyName =
+      createKeyNameGetter(getKeyMaps({ keyMap: { 38: 'Foo' } }));
+    expect(getCustomKeyName({ keyCode: 38, key: 'ArrowUp', code: 'ArrowUp' }))
+      .toBe('Foo');
+  });
+
+  it('should give back key informations leading to the same name', () => {
+    const keyMaps = getKeyMaps({});
+    ['Up', 'Enter', 'Num1', 'a'].forEach(keyName => {
+      expect(getKeyName(getKeyInfosFromName(keyMaps, keyName)))
+        .toBe(keyName);
+    });
+    expect(getKeyInfosFromName(keyMaps, 'Unknown'))
+      .toEqual({ keyCode: null, key: 'Unknown', code: null,
+                 keyName: 'Unknown' });
+  });
+});
@@ -0,0 +1,713 @@
+import createKeyboard from '../../src/keyboard.js';
+import { createSyntheticSource } from '../../src/events.js';
+import { createTestKeyboard,
+         createVirtualClock } from '../../src/testing.js';
+
+describe('createKeyboard', () => {
+  let tk;
+
+  beforeEach(() => {
+    tk = createTestKeyboard();
+  });
+
+  afterEach(() => {
+    tk.destroy();
+  });
+
+  it('should send push and release events with the time pressed', () => {
+    tk.listen('Up', () => {});
+    tk.tap('Up', 300);
+    tk.expectEvents([{ event: 'push', keyName: 'Up', timepress: 0 },
+                     { event: 'release', keyName: 'Up', timepress: 300 }]);
+  });
+
+  it('should only send the keys listened to', () => {
+    tk.listen(['Up', 'Nums'], () => {});
+    tk.tap('Down');
+    tk.tap('Num5');
+    tk.expectEvents(['push:Num5', 'release:Num5']);
+  });
+
+  describe('press intervals', () => {
+    it('should send press events after and at the given interval', () => {
+      tk.listen('Right', { press: { after: 500, interval: 200 } }, () => {});
+      tk.hold('Right', 1000);
+      tk.release('Right');
+      tk.expectEvents(['push:Right',
+                       { event: 'press', time: 500, step: 1 },
+                       { event: 'press', time: 700, step: 2 },
+                       { event: 'press', time: 900, step: 3 },
+                       { event: 'release', timepress: 1000 }]);
+    });
+
+    it('should go through every press interval in order', () => {
+      tk.listen('Right', {
+        press: [{ after: 1000, interval: 100 },
+                { after: 300, interval: 300 }]
+      }, () => {});
+      tk.hold('Right', 1250);
+      tk.release('Right');
+      tk.expectEvents(['push:Right',
+                       { event: 'press', time: 300, pressInterval: 1 },
+                       { event: 'press', time: 600, pressInterval: 1 },
+                       { event: 'press', time: 900, pressInterval: 1 },
+                       { event: 'press', time: 1000, pressInterval: 2 },
+                       { event: 'press', time: 1100, pressInterval: 2 },
+                       { event: 'press', time: 1200, pressInterval: 2 },
+                       'release:Right']);
+    });
+
+    it('should stop sending press events once released', () => {
+      tk.listen('Right', { press: { after: 100, interval: 100 } }, () => {});
+      tk.tap('Right', 50);
+      tk.advance(1000);
+      tk.expectEvents(['push:Right', 'release:Right']);
+      expect(tk.clock.getPendingTimers()).toBe(0);
+    });
+  });
+
+  describe('press curves', () => {
+    it('should accelerate press events following a ramp', () => {
+      tk.listen('Down', { press: { start: 400, min: 100, factor: 0.5 } },
+                () => {});
+      tk.hold('Down', 1250);
+      tk.release('Down');
+      tk.expectEvents(['push:Down',
+                       { event: 'press', time: 400, velocity: 2.5 },
+                       { event: 'press', time: 800, velocity: 2.5 },
+                       { event: 'press', time: 1000, velocity: 5 },
+                       { event: 'press', time: 1100, velocity: 10 },
+                       { event: 'press', time: 1200, velocity: 10 },
+                       'release:Down']);
+    });
+
+    it('should follow the interval function given', () => {
+      const getInterval = jasmine.createSpy('getInterval')
+        .and.callFake(step => step < 2 ? 100 : 0);
+      tk.listen('Up', { press: { after: 500, interval: getInterval } },
+                () => {});
+      tk.hold('Up', 2000);
+      tk.expectEvents(['push:Up',
+                       { event: 'press', time: 500, step: 1 },
+                       { event: 'press', time: 600, step: 2 }]);
+      expect(getInterval).toHaveBeenCalledWith(1, 500);
+      expect(getInterval).toHaveBeenCalledWith(2, 600);
+    });
+  });
+
+  describe('reEmit', () => {
+    it('should hand a held key over to the listen below', () => {
+      tk.listen('Up', { reEmit: 200 }, () => {});
+      const unbind = tk.keyboard.listen('Up', { propagate: false }, () => {});
+      tk.push('Up');
+      tk.advance(100);
+      unbind();
+      tk.expectNoEvents();
+
+      tk.advance(200);
+      tk.expectEvents([{ event: 'push', keyName: 'Up', time: 300 }]);
+      tk.release('Up');
+      tk.expectEvents([{ event: 'release', timepress: 0 }]);
+    });
+
+    it('should re-emit a key pushed before the listen', () => {
+      // keys are only followed once the keyboard listens to any of them
+      tk.keyboard.listen('Down', () => {});
+      tk.push('Up');
+      tk.listen('Up', { reEmit: 200 }, () => {});
+      tk.advance(200);
+      tk.expectEvents([{ event: 'push', keyName: 'Up', time: 200 }]);
+    });
+
+    it('should not re-emit when reEmit is negative', () => {
+      tk.push('Up');
+      tk.listen('Up', { reEmit: -1 }, () => {});
+      tk.advance(1000);
+      tk.release('Up');
+      tk.expectNoEvents();
+    });
+
+    it('should not re-emit a key released in the meantime', () => {
+      tk.push('Up');
+      tk.listen('Up', { reEmit: 200 }, () => {});
+      tk.advance(100);
+      tk.release('Up');
+      tk.advance(1000);
+      tk.expectNoEvents();
+    });
+  });
+
+  describe('propagation', () => {
+    it('should send the key to every listen when propagated', () => {
+      const first = jasmine.createSpy('first');
+      tk.keyboard.listen('Up', first);
+      tk.listen('Up', () => {});
+      tk.tap('Up');
+      expect(first).toHaveBeenCalledTimes(2);
+      tk.expectEvents(['push:Up', 'release:Up']);
+    });
+
+    it('should stop at the last listen not propagating', () => {
+      const first = jasmine.createSpy('first');
+      tk.listen('Up', first);
+      tk.listen('Up', { propagate: false }, () => {});
+      tk.tap('Up');
+      expect(first).not.toHaveBeenCalled();
+      tk.expectEvents(['push:Up', 'release:Up']);
+    });
+
+    it('should let callbacks stop the propagation', () => {
+      const first = jasmine.createSpy('first');
+      tk.listen('Up', first);
+      tk.listen('Up', function() {
+        this.stopPropagation();
+      });
+      tk.tap('Up');
+      expect(first).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('priority', () => {
+    it('should place listens with a higher priority above the others', () => {
+      const low = jasmine.createSpy('low');
+      tk.listen('Enter', { priority: 1, propagate: false }, () => {});
+      tk.listen('Enter', low);
+      tk.tap('Enter');
+      expect(low).not.toHaveBeenCalled();
+      tk.expectEvents(['push:Enter', 'release:Enter']);
+    });
+
+    it('should keep the presses of a held key for a listen added below', () => {
+      tk.listen('Enter',
+                { priority: 1, press: { after: 100, interval: 100 } },
+                () => {});
+      tk.push('Enter');
+      tk.keyboard.listen('Enter', { propagate: false }, () => {});
+      tk.advance(200);
+      tk.release('Enter');
+      tk.expectEvents(['push:Enter',
+                       'press:Enter',
+                       'press:Enter',
+                       'release:Enter']);
+    });
+  });
+
+  describe('combinations', () => {
+    it('should send the events of a combination under its name', () => {
+      const up = jasmine.createSpy('up');
+      tk.listen('Up', up);
+      tk.listen('Ctrl+Up', () => {});
+      tk.push('Ctrl');
+      tk.push('Up');
+      tk.release('Up');
+      tk.release('Ctrl');
+      tk.expectEvents(['push:Ctrl+Up', 'release:Ctrl+Up']);
+      expect(up).not.toHaveBeenCalled();
+    });
+
+    it('should accept the keys of a combination in any order', () => {
+      tk.listen([['Shift', 'Enter']], () => {});
+      tk.push('Enter');
+      tk.push('Shift');
+      tk.expectEvents(['push:Shift+Enter']);
+    });
+
+    it('should only accept the keys of a chord in order', () => {
+      tk.listen('Ctrl>Up', () => {});
+      tk.push('Up');
+      tk.push('Ctrl');
+      tk.release('Ctrl');
+      tk.release('Up');
+      tk.expectNoEvents();
+
+      tk.push('Ctrl');
+      tk.push('Up');
+      tk.expectEvents(['push:Ctrl>Up']);
+    });
+
+    it('should simulate every key of a combination', () => {
+      tk.listen('Ctrl+Up', () => {});
+      tk.keyboard.simulate('Ctrl+Up', 'push');
+      tk.keyboard.simulate('Ctrl+Up', 'release');
+      tk.expectEvents(['push:Ctrl+Up', 'release:Ctrl+Up']);
+    });
+  });
+
+  describe('sequences', () => {
+    const sequence = ['Up', 'Up', 'Down', 'Down'];
+
+    it('should send progress events then a sequence event', () => {
+      tk.listen({ sequence }, () => {});
+      sequence.forEach(keyName => tk.tap(keyName, 50));
+      tk.expectEvents([{ event: 'progress', sequenceStep: 1 },
+                       { event: 'progress', sequenceStep: 2 },
+                       { event: 'progress', sequenceStep: 3 },
+                       { event: 'sequence', sequenceStep: 4 }]);
+    });
+
+    it('should reset the sequence on a key not part of it', () => {
+      tk.listen({ sequence }, () => {});
+      tk.tap('Up');
+      tk.tap('Left');
+      tk.expectEvents(['progress:Up', 'reset:Left']);
+    });
+
+    it('should reset the sequence once the timeout is over', () => {
+      tk.listen({ sequence, sequenceTimeout: 500 }, () => {});
+      tk.tap('Up');
+      tk.advance(500);
+      tk.tap('Up');
+      tk.expectEvents(['progress:Up',
+                       { event: 'reset', keyName: null, time: 500 },
+                       'progress:Up']);
+    });
+
+    it('should restart the sequence on its first key', () => {
+      tk.listen({ sequence: ['Up', 'Down'] }, () => {});
+      tk.tap('Up');
+      tk.tap('Left');
+      tk.tap('Up');
+      tk.tap('Down');
+      tk.expectEvents(['progress:Up', 'reset:Left', 'progress:Up',
+                       'sequence:Down']);
+    });
+
+    it('should restart the sequence from the keys pushed just before', () => {
+      tk.listen({ sequence: ['Up', 'Up', 'Down'] }, () => {});
+      ['Up', 'Up', 'Up', 'Down'].forEach(keyName => tk.tap(keyName));
+      tk.expectEvents([{ event: 'progress', sequenceStep: 1 },
+                       { event: 'progress', sequenceStep: 2 },
+                       { event: 'reset', keyName: 'Up', sequenceStep: 0 },
+                       { event: 'progress', sequenceStep: 2 },
+                       { event: 'sequence', keyName: 'Down' }]);
+    });
+
+    it('should keep the longest beginning of the sequence pushed', () => {
+      tk.listen({ sequence: ['a', 'b', 'a', 'c'] }, () => {});
+      ['a', 'b', 'a', 'b', 'a', 'c'].forEach(keyName => tk.tap(keyName));
+      tk.expectEvents(['progress:a', 'progress:b', 'progress:a',
+                       'reset:b', { event: 'progress', sequenceStep: 2 },
+                       'progress:a', 'sequence:c']);
+    });
+  });
+
+  describe('taps', () => {
+    it('should send a multitap event instead of the pushes', () => {
+      tk.listen('Enter', { taps: 2 }, () => {});
+      tk.tap('Enter', 50);
+      tk.advance(100);
+      tk.tap('Enter', 50);
+      tk.advance(1000);
+      tk.expectEvents([{ event: 'multitap', keyName: 'Enter', tap: 2,
+                         time: 150 }]);
+    });
+
+    it('should send a single tap once the tap window is over', () => {
+      tk.listen('Enter', { taps: 2, tapWindow: 200 }, () => {});
+      tk.tap('Enter', 50);
+      tk.advance(199);
+      tk.expectNoEvents();
+      tk.advance(1);
+      tk.expectEvents([{ event: 'push', time: 250, tap: 1 },
+                       { event: 'release', time: 250, timepress: 50 }]);
+    });
+
+    it('should send a push as usual when held after the tap window', () => {
+      tk.listen('Enter', {
+        taps: 2,
+        tapWindow: 200,
+        press: { after: 500, interval: 100 }
+      }, () => {});
+      tk.hold('Enter', 650);
+      tk.release('Enter');
+      tk.expectEvents([{ event: 'push', time: 200 },
+                       { event: 'press', time: 500 },
+                       { event: 'press', time: 600 },
+                       'release:Enter']);
+    });
+
+    it('should send the events of every tap when missing the multitap', () => {
+      tk.listen('Enter', { taps: 3, tapWindow: 200 }, () => {});
+      tk.tap('Enter', 50);
+      tk.advance(100);
+      tk.tap('Enter', 30);
+      tk.advance(200);
+      tk.expectEvents([{ event: 'push', tap: 1, time: 380 },
+                       { event: 'release', tap: 1, timepress: 50 },
+                       { event: 'push', tap: 2, time: 380 },
+                       { event: 'release', tap: 2, timepress: 30 }]);
+    });
+
+    it('should only send a multitap event for every tap wanted', () => {
+      tk.listen('Enter', { taps: 3 }, () => {});
+      tk.tap('Enter');
+      tk.tap('Enter');
+      tk.tap('Enter');
+      tk.advance(1000);
+      tk.expectEvents([{ event: 'multitap', tap: 3 }]);
+    });
+
+    it('should send the previous taps before a key held', () => {
+      tk.listen('Enter', { taps: 3, tapWindow: 200 }, () => {});
+      tk.tap('Enter');
+      tk.advance(100);
+      tk.hold('Enter', 200);
+      tk.release('Enter');
+      tk.expectEvents([{ event: 'push', tap: 1 },
+                       { event: 'release', tap: 1 },
+                       { event: 'push', tap: 2, time: 300 },
+                       { event: 'release', tap: 2, timepress: 200 }]);
+    });
+
+    it('should count the taps in the tap event property', () => {
+      tk.listen('Up', { tapWindow: 200 }, () => {});
+      tk.tap('Up');
+      tk.advance(100);
+      tk.tap('Up');
+      tk.advance(300);
+      tk.tap('Up');
+      expect(tk.getEvents('push').map(evt => evt.tap)).toEqual([1, 2, 1]);
+    });
+  });
+
+  describe('shortPress', () => {
+    const options = { shortPress: true, press: { after: 800 } };
+
+    it('should send a shortpress event when released early', () => {
+      tk.listen('Enter', options, () => {});
+      tk.tap('Enter', 300);
+      tk.expectEvents([{ event: 'shortpress', timepress: 300 },
+                       'release:Enter']);
+    });
+
+    it('should not send a shortpress event after a press event', () => {
+      tk.listen('Enter', options, () => {});
+      tk.tap('Enter', 1000);
+      tk.expectEvents([{ event: 'press', time: 800 }, 'release:Enter']);
+    });
+  });
+
+  describe('pause and resume', () => {
+    it('should let the listens below receive the keys of a paused one', () => {
+      const below = jasmine.createSpy('below');
+      tk.keyboard.listen('Up', below);
+      const binding = tk.listen('Up', { propagate: false }, () => {});
+      binding.pause();
+      tk.tap('Up');
+      expect(below).toHaveBeenCalledTimes(2);
+      tk.expectNoEvents();
+
+      binding.resume();
+      tk.tap('Up');
+      expect(below).toHaveBeenCalledTimes(2);
+      tk.expectEvents(['push:Up', 'release:Up']);
+    });
+
+    it('should forget the pending press events of a paused listen', () => {
+      const binding = tk.listen('Up', { press: { after: 100 } }, () => {});
+      tk.push('Up');
+      binding.pause();
+      tk.advance(500);
+      tk.expectEvents(['push:Up']);
+    });
+
+    it('should not swallow the next push of a listen shadowed meanwhile', () => {
+      tk.listen('Up', () => {});
+      const top = tk.keyboard.listen('Up', { propagate: false }, () => {});
+      top.pause();
+      tk.push('Up');
+      top.resume();
+      tk.release('Up');
+      top.pause();
+      tk.tap('Up');
+      tk.expectEvents(['push:Up', 'push:Up', 'release:Up']);
+    });
+
+    it('should send no event while the keyboard is paused', () => {
+      tk.listen('Up', () => {});
+      tk.keyboard.pause();
+      tk.tap('Up');
+      tk.expectNoEvents();
+
+      tk.keyboard.resume();
+      tk.tap('Up');
+      tk.expectEvents(['push:Up', 'release:Up']);
+    });
+  });
+
+  describe('layers', () => {
+    it('should only send the keys to the top layer', () => {
+      const below = jasmine.createSpy('below');
+      tk.listen(['Enter', 'Back'], below);
+      tk.keyboard.pushLayer('dialog', { passthrough: ['Back'] });
+      tk.listen('Up', () => {});
+      tk.tap('Enter');
+      tk.tap('Back');
+      expect(below.calls.allArgs().map(([evt]) => evt.keyName))
+        .toEqual(['Back', 'Back']);
+
+      tk.keyboard.popLayer('dialog');
+      tk.tap('Enter');
+      expect(below).toHaveBeenCalledTimes(4);
+    });
+
+    it('should stop the press events of the keys held below', () => {
+      tk.listen('Up', { press: { after: 100, interval: 100 } }, () => {});
+      tk.hold('Up', 150);
+      tk.keyboard.pushLayer('dialog');
+      tk.advance(500);
+      tk.expectEvents(['push:Up', { event: 'press', time: 100 }]);
+    });
+
+    it('should not swallow the next push of the keys held below', () => {
+      tk.listen('Up', () => {});
+      tk.push('Up');
+      tk.keyboard.pushLayer('dialog');
+      tk.release('Up');
+      tk.keyboard.popLayer('dialog');
+      tk.tap('Up');
+      tk.expectEvents(['push:Up', 'push:Up', 'release:Up']);
+    });
+
+    it('should not swallow the next push of the keys held on top', () => {
+      tk.keyboard.pushLayer('dialog');
+      tk.listen('Up', () => {});
+      tk.push('Up');
+      tk.keyboard.popLayer('dialog');
+      tk.release('Up');
+      tk.keyboard.pushLayer('dialog');
+      tk.tap('Up');
+      tk.expectEvents(['push:Up', 'push:Up', 'release:Up']);
+    });
+
+    it('should add a listen to the layer given as option', () => {
+      tk.keyboard.pushLayer('dialog');
+      tk.listen('Up', { layer: null }, () => {});
+      tk.tap('Up');
+      tk.expectNoEvents();
+
+      tk.keyboard.popLayer();
+      tk.tap('Up');
+      tk.expectEvents(['push:Up', 'release:Up']);
+    });
+  });
+
+  describe('middlewares', () => {
+    it('should let key middlewares rewrite or drop key events', () => {
+      tk.listen(['PageUp', 'Up'], () => {});
+      tk.keyboard.use((keyEvt, next) => {
+        if (keyEvt.keyName === 'Down') {
+          return;
+        }
+        next(keyEvt.keyName === 'Up' ?
+          Object.assign({}, keyEvt, { keyName: 'PageUp' }) : keyEvt);
+      });
+      tk.tap('Up');
+      tk.tap('Down');
+      tk.expectEvents(['push:PageUp', 'release:PageUp']);
+    });
+
+    it('should let event middlewares delay events', () => {
+      tk.listen('Up', () => {});
+      tk.keyboard.use({
+        event: (evt, next) => tk.clock.setTimeout(() => next(), 100)
+      });
+      tk.tap('Up');
+      tk.expectNoEvents();
+      tk.advance(100);
+      tk.expectEvents([{ event: 'push', time: 100 },
+                       { event: 'release', time: 100 }]);
+    });
+
+    describe('when delaying key events', () => {
+      const delay = (keyEvt, next) => tk.clock.setTimeout(next, 50);
+
+      it('should send a tap shorter than the delay', () => {
+        tk.listen('Up', () => {});
+        tk.keyboard.use(delay);
+        tk.tap('Up', 10);
+        tk.advance(50);
+        tk.expectEvents([{ event: 'push', time: 50 },
+                         { event: 'release', time: 60 }]);
+      });
+
+      it('should release a key under the name it was pushed with', () => {
+        let remap = 'PageUp';
+        tk.listen(['PageUp', 'PageDown'],
+                  { press: { after: 100, interval: 100 } },
+                  () => {});
+        tk.keyboard.use((keyEvt, next) => {
+          next(keyEvt.keyName === 'Up' ?
+            Object.assign({}, keyEvt, { keyName: remap }) : keyEvt);
+        });
+        tk.push('Up');
+        remap = 'PageDown';
+        tk.release('Up');
+        tk.advance(1000);
+        tk.expectEvents(['push:PageUp', 'release:PageUp']);
+
+        tk.tap('Up');
+        tk.expectEvents(['push:PageDown', 'release:PageDown']);
+      });
+    });
+
+    describe('when delaying events', () => {
+      const delay = { event: (evt, next) => tk.clock.setTimeout(next, 100) };
+
+      it('should not send them to a listen stopped meanwhile', () => {
+        const unbind = tk.listen('Up', () => {});
+        tk.keyboard.use(delay);
+        tk.tap('Up');
+        unbind();
+        tk.advance(100);
+        tk.expectNoEvents();
+      });
+
+      it('should not send them to a listen paused meanwhile', () => {
+        const binding = tk.listen('Up', () => {});
+        tk.keyboard.use(delay);
+        tk.tap('Up');
+        binding.pause();
+        tk.advance(100);
+        tk.expectNoEvents();
+
+        binding.resume();
+        tk.tap('Up');
+        tk.advance(100);
+        tk.expectEvents(['push:Up', 'release:Up']);
+      });
+
+      it('should not send them while the keyboard is paused', () => {
+        tk.listen('Up', () => {});
+        tk.keyboard.use(delay);
+        tk.tap('Up');
+        tk.keyboard.pause();
+        tk.advance(100);
+        tk.expectNoEvents();
+      });
+    });
+
+    it('should stop calling removed middlewares', () => {
+      tk.listen('Up', () => {});
+      const remove = tk.keyboard.use({ event: () => {} });
+      tk.tap('Up');
+      tk.expectNoEvents();
+      remove();
+      tk.tap('Up');
+      tk.expectEvents(['push:Up', 'release:Up']);
+    });
+  });
+
+  describe('editable policy', () => {
+    let clock;
+    let source;
+    let keyboard;
+
+    // 'a' and 'Enter', pushed from an editable element
+    const A = { keyCode: 65, key: 'a', code: 'KeyA', isEditable: true };
+    const ENTER = { keyCode: 13, key: 'Enter', code: 'Enter',
+                    isEditable: true };
+
+    const type = (keyInfos) => {
+      source.push(keyInfos);
+      source.release(keyInfos);
+    };
+
+    beforeEach(() => {
+      clock = createVirtualClock();
+      source = createSyntheticSource();
+      keyboard = createKeyboard({ source, scheduler: clock });
+    });
+
+    afterEach(() => {
+      keyboard.close();
+    });
+
+    it('should ignore the keys from editable elements by default', () => {
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen('a', spy);
+      type(A);
+      expect(spy).not.toHaveBeenCalled();
+      type(Object.assign({}, A, { isEditable: false }));
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should receive the keys from editable elements if asked to', () => {
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen('a', { editable: 'always' }, spy);
+      type(A);
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only receive the keys allowed from editable elements', () => {
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen(['a', 'Enter'], { editable: ['Enter'] }, spy);
+      type(A);
+      type(ENTER);
+      type(Object.assign({}, A, { isEditable: false }));
+      expect(spy.calls.allArgs().map(([evt]) => evt.keyName))
+        .toEqual(['Enter', 'Enter', 'a', 'a']);
+    });
+
+    it('should let the keys ignored reach no listen below', () => {
+      const below = jasmine.createSpy('below');
+      keyboard.listen('a', below);
+      keyboard.listen('a', { editable: 'ignore', propagate: false }, () => {});
+      type(A);
+      expect(below).not.toHaveBeenCalled();
+    });
+
+    it('should never receive keys consumed by an IME composition', () => {
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen(spy);
+      type(Object.assign({}, A, { isComposing: true }));
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inspect', () => {
+    it('should tell which listens would receive a key', () => {
+      tk.listen('Up', { label: 'list' }, () => {});
+      tk.listen('Up', { label: 'menu', propagate: false }, () => {});
+      expect(tk.keyboard.whoHandles('Up').map(infos => infos.label))
+        .toEqual(['menu']);
+    });
+  });
+
+  describe('close', () => {
+    let clock;
+    let source;
+    let keyboard;
+
+    const UP = { keyCode: 38, key: 'ArrowUp', code: 'ArrowUp' };
+
+    beforeEach(() => {
+      clock = createVirtualClock();
+      source = createSyntheticSource();
+      spyOn(source, 'stop').and.callThrough();
+      keyboard = createKeyboard({ source, scheduler: clock });
+    });
+
+    it('should stop the source of a keyboard with a sequence', () => {
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen({ sequence: ['Up', 'Down'] }, spy);
+      source.push(UP);
+      source.release(UP);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      keyboard.close();
+      expect(source.stop).toHaveBeenCalled();
+      clock.advance(10000);
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop the source of a keyboard not combining keys', () => {
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen('Up', { combine: false }, spy);
+      keyboard.close();
+      expect(source.stop).toHaveBeenCalled();
+      source.push(UP);
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import RKeyboard from '../../src/implementations/default.js';
+import createMultiTapEntry from '../../src/multi_tap_entry.js';
+import { createSyntheticSource } from '../../src/events.js';
+import { createVirtualClock } from '../../src/testing.js';
+
+describe('createMultiTapEntry', () => {
+  let clock;
+  let keyboard;
+  let events;
+
+  const createEntry = (opt) => createMultiTapEntry(Object.assign({
+    keyboard,
+    scheduler: clock,
+    timeout: 1000,
+    onEvent: evt => events.push(`${evt.event}:${evt.char}:${evt.text}`)
+  }, opt));
+
+  beforeEach(() => {
+    clock = createVirtualClock();
+    keyboard = RKeyboard({ source: createSyntheticSource(),
+                           scheduler: clock });
+    events = [];
+  });
+
+  afterEach(() => {
+    keyboard.free();
+  });
+
+  it('should cycle through the characters of a key', () => {
+    const entry = createEntry();
+    ['Num2', 'Num2', 'Num2', 'Num2', 'Num2'].forEach(keyName => {
+      keyboard.tap(keyName);
+    });
+    expect(events).toEqual(['compose:a:', 'compose:b:', 'compose:c:',
+                            'compose:2:', 'compose:a:']);
+    expect(entry.getComposed()).toBe('a');
+    expect(entry.getText()).toBe('');
+    entry.destroy();
+  });
+
+  it('should commit the character composed once the timeout is over', () => {
+    const onCommit = jasmine.createSpy('onCommit');
+    const entry = createEntry({ onCommit });
+    keyboard.tap('Num2');
+    keyboard.tap('Num2');
+    clock.advance(999);
+    expect(onCommit).not.toHaveBeenCalled();
+    clock.advance(1);
+    expect(events).toEqual(['compose:a:', 'compose:b:', 'commit:b:b']);
+    expect(onCommit).toHaveBeenCalledWith({ event: 'commit',
+                                            char: 'b',
+                                            keyName: 'Num2',
+                                            text: 'b' });
+    expect(entry.getComposed()).toBe(null);
+    entry.destroy();
+  });
+
+  it('should commit the character composed when another key is pushed', () => {
+    const entry = createEntry();
+    keyboard.tap('Num2');
+    keyboard.tap('Num3');
+    keyboard.tap('Up');
+    expect(events).toEqual(['compose:a:', 'commit:a:a',
+                            'compose:d:a', 'commit:d:ad']);
+    entry.destroy();
+  });
+
+  it('should let the other keys reach the listens below', () => {
+    const onUp = jasmine.createSpy('onUp');
+    const onNum = jasmine.createSpy('onNum');
+    keyboard.free();
+    keyboard = RKeyboard({ source: createSyntheticSource(),
+                           scheduler: clock,
+                           propagate: false });
+    keyboard.listen('Up', { onPush: onUp });
+    keyboard.listen('Num2', { onPush: onNum });
+    const entry = createEntry();
+    keyboard.tap('Up');
+    keyboard.tap('Num2');
+    expect(onUp).toHaveBeenCalledTimes(1);
+    expect(onNum).not.toHaveBeenCalled();
+    entry.destroy();
+  });
+
+  it('should delete the character composed, then the last one', () => {
+    const entry = createEntry({ text: 'ab' });
+    keyboard.tap('Num3');
+    keyboard.tap('Back');
+    keyboard.tap('Back');
+    expect(events).toEqual(['compose:d:ab', 'delete:d:ab', 'delete:b:a']);
+    expect(entry.getText()).toBe('a');
+
+    // the character deleted is not committed after the timeout
+    clock.advance(1000);
+    expect(events.length).toBe(3);
+    entry.destroy();
+  });
+
+  it('should call onBack when there is nothing to delete', () => {
+    const onBack = jasmine.createSpy('onBack');
+    const entry = createEntry({ text: 'a', onBack });
+    keyboard.tap('Back');
+    expect(onBack).not.toHaveBeenCalled();
+    keyboard.tap('Back');
+    expect(onBack).toHaveBeenCalledTimes(1);
+    entry.destroy();
+  });
+
+  it('should commit when paused and ignore the keys until resumed', () => {
+    const entry = createEntry();
+    keyboard.tap('Num4');
+    entry.pause();
+    expect(entry.getText()).toBe('g');
+    keyboard.tap('Num4');
+    keyboard.tap('Back');
+    expect(events).toEqual(['compose:g:', 'commit:g:g']);
+
+    entry.resume();
+    keyboard.tap('Num4');
+    expect(events[2]).toBe('compose:g:g');
+    entry.destroy();
+  });
+
+  it('should stop listening to the keys once destroyed', () => {
+    const onNum = jasmine.createSpy('onNum');
+    keyboard.listen('Num2', { onPush: onNum });
+    const entry = createEntry();
+    keyboard.tap('Num2');
+    entry.destroy();
+    clock.advance(1000);
+    keyboard.tap('Num2');
+    expect(events).toEqual(['compose:a:']);
+    expect(entry.getText()).toBe('');
+    expect(onNum).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,108 @@
+import RKeyboard from '../../src/implementations/default.js';
+import createNumericEntry from '../../src/numeric_entry.js';
+import { createSyntheticSource } from '../../src/events.js';
+import { createVirtualClock } from '../../src/testing.js';
+
+describe('createNumericEntry', () => {
+  let clock;
+  let keyboard;
+  let events;
+
+  const typeDigits = (digits) => {
+    digits.split('').forEach(digit => {
+      keyboard.tap(`Num${digit}`);
+    });
+  };
+
+  const createEntry = (opt) => createNumericEntry(Object.assign({
+    keyboard,
+    scheduler: clock,
+    onEvent: evt => events.push(`${evt.event}:${evt.value}`)
+  }, opt));
+
+  beforeEach(() => {
+    clock = createVirtualClock();
+    keyboard = RKeyboard({ source: createSyntheticSource(),
+                           scheduler: clock });
+    events = [];
+  });
+
+  afterEach(() => {
+    keyboard.free();
+  });
+
+  it('should submit the value once its maximum length is reached', () => {
+    const entry = createEntry({ maxLength: 3 });
+    typeDigits('123');
+    expect(events).toEqual(['progress:1', 'progress:12', 'progress:123',
+                            'value:123']);
+    expect(entry.getValue()).toBe('');
+    entry.destroy();
+  });
+
+  it('should submit the value once the timeout is over', () => {
+    const entry = createEntry({ timeout: 1000 });
+    typeDigits('42');
+    clock.advance(999);
+    expect(events).toEqual(['progress:4', 'progress:42']);
+    clock.advance(1);
+    expect(events[2]).toBe('value:42');
+    entry.destroy();
+  });
+
+  it('should lock once the maximum number of attempts is reached', () => {
+    const entry = createEntry({ maxLength: 1,
+                                maxAttempts: 2,
+                                validate: value => value === '7' });
+    typeDigits('123');
+    expect(events).toEqual(['progress:1', 'invalid:1',
+                            'progress:2', 'locked:2']);
+    expect(entry.isLocked()).toBe(true);
+    expect(entry.getAttempts()).toBe(2);
+    entry.destroy();
+  });
+
+  describe('with an asynchronous validation', () => {
+    let resolveValidation;
+
+    const validate = () => new Promise((resolve) => {
+      resolveValidation = resolve;
+    });
+
+    it('should send the result once resolved', () => {
+      const entry = createEntry({ maxLength: 2, validate });
+      typeDigits('12');
+      resolveValidation(false);
+      return Promise.resolve().then(() => {
+        expect(events).toEqual(['progress:1', 'progress:12', 'invalid:12']);
+        expect(entry.getAttempts()).toBe(1);
+        entry.destroy();
+      });
+    });
+
+    it('should ignore a validation resolved after a clear', () => {
+      const entry = createEntry({ maxLength: 2, validate });
+      typeDigits('12');
+      entry.clear();
+      resolveValidation(false);
+      return Promise.resolve().then(() => {
+        expect(events).toEqual(['progress:1', 'progress:12']);
+        expect(entry.getAttempts()).toBe(0);
+
+        typeDigits('3');
+        expect(events[2]).toBe('progress:3');
+        entry.destroy();
+      });
+    });
+
+    it('should ignore a validation resolved after a destroy', () => {
+      const entry = createEntry({ maxLength: 2, validate });
+      typeDigits('12');
+      entry.destroy();
+      resolveValidation(true);
+      return Promise.resolve().then(() => {
+        expect(events).toEqual(['progress:1', 'progress:12']);
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import createKeyboard from '../../src/keyboard.js';
+import { createSyntheticSource } from '../../src/events.js';
+import { PRESETS, detectPreset } from '../../src/presets.js';
+import { createVirtualClock } from '../../src/testing.js';
+
+describe('presets', () => {
+  describe('detectPreset', () => {
+    it('should recognize the platforms from their user agent', () => {
+      expect(detectPreset('Mozilla/5.0 (SMART-TV; Linux; Tizen 5.0) ' +
+                          'HbbTV/1.2.1')).toBe('tizen');
+      expect(detectPreset('Mozilla/5.0 (Web0S; Linux/SmartTV) ' +
+                          'HbbTV/1.2.1')).toBe('webos');
+      expect(detectPreset('Mozilla/5.0 (Linux; Android 9; BRAVIA 4K ' +
+                          'GB ATV3)')).toBe('androidtv');
+      expect(detectPreset('Opera/9.80 (Linux mips; U; HbbTV/1.1.1 ' +
+                          '(; Philips; ; ; ; ) CE-HTML/1.0)')).toBe('hbbtv');
+    });
+
+    it('should return null for other platforms', () => {
+      expect(detectPreset('Mozilla/5.0 (X11; Linux x86_64; rv:70.0) ' +
+                          'Gecko/20100101 Firefox/70.0')).toBe(null);
+      expect(detectPreset('Mozilla/5.0 (Linux; Android 9; Pixel 3)'))
+        .toBe(null);
+    });
+  });
+
+  describe('preset option', () => {
+    let source;
+    let keyboard;
+
+    const type = (keyInfos) => {
+      source.push(keyInfos);
+      source.release(keyInfos);
+    };
+
+    beforeEach(() => {
+      source = createSyntheticSource();
+    });
+
+    afterEach(() => {
+      keyboard.close();
+    });
+
+    it('should name the remote keys of the platform', () => {
+      keyboard = createKeyboard({ source,
+                                  scheduler: createVirtualClock(),
+                                  preset: 'tizen' });
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen(['Back', 'ColorKeys', 'Up'], spy);
+      type({ keyCode: 10009 });
+      type({ keyCode: 403 });
+      type({ key: 'ArrowUp' });
+      expect(spy.calls.allArgs()
+        .filter(([evt]) => evt.event === 'push')
+        .map(([evt]) => evt.keyName)).toEqual(['Back', 'Red', 'Up']);
+    });
+
+    it('should accept a preset object', () => {
+      keyboard = createKeyboard({ source,
+                                  scheduler: createVirtualClock(),
+                                  preset: PRESETS.webos });
+      const spy = jasmine.createSpy('spy');
+      keyboard.listen('ChannelKeys', spy);
+      type({ keyCode: 33 });
+      expect(spy.calls.argsFor(0)[0].keyName).toBe('ChannelUp');
+    });
+  });
+
+  it('should throw for an unknown preset', () => {
+    expect(() => createKeyboard({ preset: 'toaster' }))
+      .toThrowError('RKeyboard: unknown preset "toaster"');
+  });
+});
@@ -0,0 +1,205 @@
+import RKeyboard from '../../src/implementations/default.js';
+import createSpatialNavigation from '../../src/spatial_navigation.js';
+import listen, { createSyntheticSource,
+                 pushKey,
+                 unpushKey } from '../../src/events.js';
+import { createVirtualClock } from '../../src/testing.js';
+
+// element stubs, only giving what the navigation relies on
+const createElement = (name, left, top, width = 100, height = 50) => ({
+  name,
+  getBoundingClientRect: () => ({ left, top, width, height }),
+  focus: jasmine.createSpy(`${name}.focus`),
+  click: jasmine.createSpy(`${name}.click`)
+});
+
+const createContainer = (elements) => ({
+  contains: element => elements.includes(element)
+});
+
+describe('createSpatialNavigation', () => {
+  let clock;
+  let keyboard;
+  let nav;
+
+  // a b c
+  // d e f
+  let a, b, c, d, e, f;
+
+  const createNav = (opt) => {
+    const newNav = createSpatialNavigation(Object.assign({ keyboard }, opt));
+    [a, b, c, d, e, f].forEach(element => newNav.add(element));
+    return newNav;
+  };
+
+  const getFocusedName = () => {
+    const focused = nav.getFocused();
+    return focused && focused.name;
+  };
+
+  beforeEach(() => {
+    nav = null;
+    clock = createVirtualClock();
+    keyboard = RKeyboard({ source: createSyntheticSource(),
+                           scheduler: clock });
+    a = createElement('a', 0, 0);
+    b = createElement('b', 200, 0);
+    c = createElement('c', 400, 0);
+    d = createElement('d', 0, 100);
+    e = createElement('e', 200, 100);
+    f = createElement('f', 400, 100);
+  });
+
+  afterEach(() => {
+    if (nav) {
+      nav.destroy();
+    }
+    keyboard.free();
+  });
+
+  it('should focus the top-left element first', () => {
+    const onFocus = jasmine.createSpy('onFocus');
+    nav = createNav({ onFocus });
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('a');
+    expect(a.focus).toHaveBeenCalled();
+    expect(onFocus).toHaveBeenCalledWith(a, null);
+  });
+
+  it('should move to the nearest element in the direction', () => {
+    nav = createNav();
+    nav.focus(a);
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('b');
+    keyboard.tap('Down');
+    expect(getFocusedName()).toBe('e');
+    keyboard.tap('Left');
+    expect(getFocusedName()).toBe('d');
+  });
+
+  it('should weight the gap on the other axis more', () => {
+    nav = createSpatialNavigation({ keyboard });
+    const lower = createElement('lower', 200, 60);
+    const farther = createElement('farther', 300, 0);
+    const muchLower = createElement('muchLower', 150, 100);
+    [a, lower, farther, muchLower].forEach(element => nav.add(element));
+
+    // 100 + 5 * 10 against 200
+    nav.focus(a);
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('lower');
+
+    // 50 + 5 * 50 against 200
+    nav.remove(lower);
+    nav.focus(a);
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('farther');
+  });
+
+  it('should only reach the elements aligned as the overlap rule asks', () => {
+    nav = createSpatialNavigation({ keyboard, overlap: 'partial' });
+    const lower = createElement('lower', 200, 60);
+    [a, lower].forEach(element => nav.add(element));
+    nav.focus(a);
+    expect(nav.move('Right')).toBe(false);
+    expect(getFocusedName()).toBe('a');
+  });
+
+  it('should wrap around if asked to', () => {
+    nav = createNav();
+    nav.focus(c);
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('c');
+
+    nav.destroy();
+    nav = createNav({ wrap: true });
+    nav.focus(c);
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('a');
+  });
+
+  it('should move inside the container first, then outside of it', () => {
+    nav = createNav();
+    nav.addContainer(createContainer([a, e]));
+    nav.focus(a);
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('e');
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('f');
+  });
+
+  it('should follow the rules of the container', () => {
+    nav = createNav();
+    nav.addContainer(createContainer([a, b, c]), { wrap: true });
+    nav.focus(c);
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('a');
+  });
+
+  it('should never leave a container trapping the focus', () => {
+    nav = createNav();
+    const removeContainer = nav.addContainer(createContainer([a, b, c]),
+                                             { trap: true });
+    nav.focus(b);
+    keyboard.tap('Down');
+    expect(getFocusedName()).toBe('b');
+
+    removeContainer();
+    keyboard.tap('Down');
+    expect(getFocusedName()).toBe('e');
+  });
+
+  it('should activate the focused element', () => {
+    const onActivate = jasmine.createSpy('onActivate');
+    nav = createSpatialNavigation({ keyboard });
+    nav.add(a);
+    nav.add(b, { onActivate });
+    nav.focus(a);
+    keyboard.tap('Enter');
+    expect(a.click).toHaveBeenCalledTimes(1);
+    nav.focus(b);
+    keyboard.tap('Enter');
+    expect(onActivate).toHaveBeenCalledWith(b);
+    expect(b.click).not.toHaveBeenCalled();
+  });
+
+  it('should only work while its modal layer is on top', () => {
+    nav = createNav();
+    nav.focus(a);
+
+    keyboard.pushLayer('dialog');
+    const ok = createElement('ok', 100, 300);
+    const cancel = createElement('cancel', 300, 300);
+    const dialogNav = createSpatialNavigation({ keyboard });
+    dialogNav.add(ok);
+    dialogNav.add(cancel);
+    dialogNav.focus(ok);
+
+    keyboard.tap('Right');
+    expect(dialogNav.getFocused()).toBe(cancel);
+    expect(getFocusedName()).toBe('a');
+
+    dialogNav.destroy();
+    keyboard.popLayer('dialog');
+    keyboard.tap('Right');
+    expect(getFocusedName()).toBe('b');
+  });
+
+  it('should leave the source of its own keyboard once destroyed', () => {
+    const DOWN = { keyCode: 40, key: 'ArrowDown', code: 'ArrowDown' };
+    const defaultSource = listen(() => null);
+
+    const ownNav = createSpatialNavigation();
+    ownNav.add(a);
+    pushKey(DOWN);
+    unpushKey(DOWN);
+    expect(ownNav.getFocused()).toBe(a);
+
+    // nothing listens to the default source anymore: it is stopped
+    ownNav.destroy();
+    pushKey(DOWN);
+    expect(defaultSource.getPushedKeys()).toEqual([]);
+    unpushKey(DOWN);
+    defaultSource.close();
+  });
+});
@@ -0,0 +1,56 @@
+import { createTestKeyboard,
+         createVirtualClock } from '../../src/testing.js';
+
+describe('createVirtualClock', () => {
+  it('should execute the timers due, in order', () => {
+    const clock = createVirtualClock();
+    const calls = [];
+    clock.setTimeout(() => calls.push(['b', clock.now()]), 200);
+    clock.setTimeout(() => calls.push(['a', clock.now()]), 100);
+    const intervalId = clock.setInterval(() => calls.push(['i', clock.now()]),
+                                         150);
+    clock.advance(300);
+    expect(calls).toEqual([['a', 100], ['i', 150], ['b', 200], ['i', 300]]);
+    expect(clock.now()).toBe(300);
+
+    clock.clearInterval(intervalId);
+    expect(clock.getPendingTimers()).toBe(0);
+  });
+
+  it('should replace the global timers while installed', () => {
+    const clock = createVirtualClock();
+    const spy = jasmine.createSpy('spy');
+    const originalSetTimeout = setTimeout;
+    clock.install();
+    try {
+      setTimeout(spy, 100);
+      clock.advance(100);
+    } finally {
+      clock.uninstall();
+    }
+    expect(spy).toHaveBeenCalled();
+    expect(setTimeout).toBe(originalSetTimeout);
+  });
+});
+
+describe('createTestKeyboard', () => {
+  it('should throw when the events do not match', () => {
+    const tk = createTestKeyboard();
+    tk.listen('Up', () => {});
+    tk.tap('Up');
+    expect(() => tk.expectEvents(['push:Up']))
+      .toThrowError('Expected events [push:Up] but got ' +
+                    '[push:Up, release:Up]');
+    expect(() => tk.expectNoEvents()).toThrow();
+    tk.destroy();
+  });
+
+  it('should release the keys held when destroyed', () => {
+    const tk = createTestKeyboard();
+    const spy = jasmine.createSpy('spy');
+    tk.listen('Up', spy);
+    tk.push('Up');
+    tk.destroy();
+    expect(spy.calls.mostRecent().args[0].event).toBe('release');
+  });
+});
@@ -0,0 +1,101 @@
+import createTracer from '../../src/tracer.js';
+import { createTestKeyboard, createVirtualClock } from '../../src/testing.js';
+
+describe('createTracer', () => {
+  let tracer;
+  let tk;
+
+  const getSteps = () => tracer.getRecords().map(record => record.step);
+
+  const getRecords = (step) =>
+    tracer.getRecords().filter(record => record.step === step);
+
+  beforeEach(() => {
+    tracer = createTracer({ sink: 'array' });
+    tk = createTestKeyboard({ tracer });
+  });
+
+  afterEach(() => {
+    tk.destroy();
+  });
+
+  it('should record the path of a key sent to a listen', () => {
+    tk.listen('Up', { label: 'menu', press: { after: 100 } }, () => {});
+    tk.tap('Up');
+    expect(getSteps()).toEqual(['source:keydown',
+                                'catcher:dispatch',
+                                'keyboard:timer',
+                                'keyboard:event',
+                                'source:keyup',
+                                'catcher:dispatch',
+                                'keyboard:timer',
+                                'keyboard:event']);
+    expect(getRecords('keyboard:timer').map(record => record.action))
+      .toEqual(['start', 'clear']);
+    expect(getRecords('keyboard:event')
+      .map(({ label, event, keyName }) => `${label}:${event}:${keyName}`))
+      .toEqual(['menu:push:Up', 'menu:release:Up']);
+  });
+
+  it('should record the listens shadowed and why', () => {
+    tk.keyboard.listen('Up', { label: 'below' }, () => {});
+    tk.keyboard.listen('Up', { label: 'paused' }, () => {}).pause();
+    tk.listen('Up', { label: 'top', propagate: false }, () => {});
+    tk.push('Up');
+
+    const [dispatch] = getRecords('catcher:dispatch');
+    expect(dispatch.keyName).toBe('Up');
+    expect(dispatch.bindings.map(infos => infos.label)).toEqual(['top']);
+    expect(dispatch.shadowed
+      .map(({ label, shadowedBy }) => `${label}:${shadowedBy}`))
+      .toEqual(['paused:paused', 'below:propagation']);
+  });
+
+  it('should record the propagation stopped by a listen', () => {
+    tk.keyboard.listen('Up', { label: 'below' }, () => {});
+    tk.keyboard.listen('Up', { label: 'top' }, function() {
+      this.stopPropagation();
+    });
+    tk.push('Up');
+
+    const [stop] = getRecords('catcher:stopPropagation');
+    expect(stop.binding.label).toBe('top');
+    expect(stop.skipped.map(infos => infos.label)).toEqual(['below']);
+  });
+
+  it('should record the keys pushed while no listen receives them', () => {
+    tk.listen('Down', () => {});
+    tk.push('Up');
+    expect(getSteps()).toEqual(['source:keydown', 'catcher:dispatch']);
+    expect(getRecords('catcher:dispatch')[0].bindings).toEqual([]);
+  });
+
+  it('should only record while enabled', () => {
+    tk.listen('Up', () => {});
+    tracer.disable();
+    tk.tap('Up');
+    expect(tracer.isEnabled()).toBe(false);
+    expect(tracer.getRecords()).toEqual([]);
+
+    tracer.enable();
+    tk.push('Up');
+    expect(getSteps()[0]).toBe('source:keydown');
+  });
+
+  it('should send the records to the sink given', () => {
+    const sink = jasmine.createSpy('sink');
+    const clock = createVirtualClock();
+    const ownTracer = createTracer({ sink, scheduler: clock });
+    clock.advance(500);
+    ownTracer.trace('custom', () => ({ value: 1 }));
+    expect(sink).toHaveBeenCalledWith({ time: 500, step: 'custom', value: 1 });
+  });
+
+  it('should only keep the last records in an array', () => {
+    const ownTracer = createTracer({ sink: 'array', limit: 2 });
+    [1, 2, 3].forEach(value => ownTracer.trace('custom', { value }));
+    expect(ownTracer.getRecords().map(record => record.value)).toEqual([2, 3]);
+    ownTracer.clearRecords();
+    expect(ownTracer.getRecords()).toEqual([]);
+  });
+});
@@ -15,6 +15,8 @@ module.exports = {
   output: {
     library: "RKeyboard",
     libraryTarget: "umd",
+    // `window` does not exist in Node or in workers
+    globalObject: "typeof self !== 'undefined' ? self : this",
     path: path.join(__dirname, "./dist"),
     filename: isDevMode ? "r-keyboard.js" : "r-keyboard.min.js",
   },
@@ -1,24 +1,35 @@
-const webpack = require('webpack');
+const path = require("path");
 
+// Bundle every spec of tests/unit, so they can be run by Jasmine either in
+// Node (`npm test`) or in browsers through Karma (`npm run test:browser`).
 module.exports = {
-  entry: './src/index.js',
+  mode: "development",
+  // readable stack traces without source maps
+  devtool: false,
+  entry: "./tests/unit/index.js",
   output: {
-    path: './bin',
-    filename: 'rkeyboard.js'
+    path: path.join(__dirname, "./bin"),
+    filename: "tests.js",
+    // md4, the default, is not available from recent versions of Node
+    hashFunction: "sha256",
   },
   module: {
-    loaders: [
+    rules: [
       {
-      loader: 'babel-loader',
-      test: /src\/.*\.js$/
+        test: /(src|tests)\/.*\.js$/,
+        exclude: /node_modules/,
+        use: [
+          {
+            loader: "babel-loader",
+            options: {
+              cacheDirectory: false,
+              presets: [
+                [ "@babel/env", { loose: true, modules: false } ],
+              ],
+            },
+          }
+        ]
       }
-    ]
-  },
-  plugins: [
-    // new webpack.optimize.UglifyJsPlugin({
-    //   compress: {
-    //     warnings: false
-    //   },
-    // })
-  ]
+    ],
+  }
 };